@@ -1,16 +1,32 @@
 import 'dotenv/config';
-import { initGmail, fetchEmailsFromPastDays, groupEmailsByContact, getMonitoredEmails } from './services/gmail.js';
-import { initSheets, ensureCRMSheet, addInvestor, findInvestorByEmail, updateInvestor, appendNotes, sortByMeetingDate, clearCRMData, formatMeetingDate, formatMeetingTime, updateRowColors } from './services/sheets.js';
-import { initCalendar, getNextMeetingWithAttendee, getLastMeetingWithAttendee } from './services/calendar.js';
+import { initGmail, fetchEmailsFromPastDays, groupEmailsByContact } from './services/gmail.js';
+import { initStore, ensureStore, addInvestor, findInvestorByEmail, updateInvestor, appendNotes, sortByMeetingDate, clearCRMData, updateRowColors } from './services/store.js';
+import { initCalendar, getNextMeetingWithAttendee, getLastMeetingWithAttendee, findMeetingsWithAttendee, refreshCalendarIndex } from './services/calendar.js';
+import { recordMeetings, getMeetingTimes } from './services/meetings.js';
+import { findFirmForAddresses, syncFirms } from './services/firms.js';
 import { initClaude, analyzeEmail, summarizeEmailThread } from './services/claude.js';
+import { loadTeam, determineWith } from './services/team.js';
+import { loadSettings } from './services/settings.js';
+import { loadSchema } from './services/schema.js';
+import { getStageUpdates, getInitialStage } from './services/stages.js';
+import { getRoundUpdates } from './services/round.js';
+import { toDateValue } from './services/field-types.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from './services/plan.js';
+import { startRun, setAuditContext, flushAudit } from './services/audit.js';
+import { resetRetryReport, printRetryReport } from './utils/retry.js';
 import { log, error } from './utils/logger.js';
 
 // Configuration from environment
 const config = {
   serviceAccountPath: process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json',
   sheetId: process.env.GOOGLE_SHEET_ID,
+  storeType: process.env.CRM_STORE || 'sheets',
+  localStorePath: process.env.CRM_LOCAL_PATH || './data/crm.json',
   claudeApiKey: process.env.CLAUDE_API_KEY,
-  monitoredEmails: (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean)
+  monitoredEmails: (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean),
+  teamConfigPath: process.env.TEAM_CONFIG_PATH || './config/team.json',
+  crmConfigPath: process.env.CRM_CONFIG_PATH || './config/crm.json',
+  schemaPath: process.env.CRM_SCHEMA_PATH || './config/schema.json'
 };
 
 /**
@@ -19,7 +35,7 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  if (!config.sheetId) errors.push('GOOGLE_SHEET_ID');
+  if (config.storeType === 'sheets' && !config.sheetId) errors.push('GOOGLE_SHEET_ID');
   if (!config.claudeApiKey) errors.push('CLAUDE_API_KEY');
   if (config.monitoredEmails.length === 0) errors.push('MONITORED_EMAILS');
 
@@ -42,36 +58,24 @@ async function initialize() {
 
   log(`[Init] Monitoring emails: ${config.monitoredEmails.join(', ')}`);
 
+  loadTeam(config.teamConfigPath, config.monitoredEmails);
+  loadSettings(config.crmConfigPath);
+  loadSchema(config.schemaPath);
   initClaude(config.claudeApiKey);
   initGmail(config.serviceAccountPath, config.monitoredEmails);
   initCalendar(config.serviceAccountPath, config.monitoredEmails);
-  initSheets(config.serviceAccountPath, config.sheetId);
+  initStore({
+    type: config.storeType,
+    serviceAccountPath: config.serviceAccountPath,
+    sheetId: config.sheetId,
+    localPath: config.localStorePath
+  });
 
-  await ensureCRMSheet();
+  await ensureStore();
 
   log('[Init] All services initialized\n');
 }
 
-/**
- * Determine who the meeting/email is with based on recipients
- */
-function determineWith(emails) {
-  let hasAvi = false;
-  let hasYuval = false;
-
-  for (const email of emails) {
-    const to = (email.to || '').toLowerCase();
-    const from = (email.from || '').toLowerCase();
-    if (to.includes('avi@') || from.includes('avi@')) hasAvi = true;
-    if (to.includes('yuval@') || from.includes('yuval@')) hasYuval = true;
-  }
-
-  if (hasAvi && hasYuval) return 'Both';
-  if (hasAvi) return 'Avi';
-  if (hasYuval) return 'Yuval';
-  return 'Both';
-}
-
 /**
  * Process a contact and add/update in CRM
  */
@@ -81,6 +85,9 @@ async function processContact(contactEmail, emails) {
   // Check if already in CRM
   const existing = await findInvestorByEmail(contactEmail);
 
+  // A new contact at a known firm's domain belongs to that firm
+  const knownFirm = existing ? null : await findFirmForAddresses([contactEmail]);
+
   // Get calendar info for this contact
   const nextMeeting = await getNextMeetingWithAttendee(contactEmail);
   const lastMeeting = await getLastMeetingWithAttendee(contactEmail);
@@ -92,9 +99,15 @@ async function processContact(contactEmail, emails) {
   const latestEmail = emails[emails.length - 1];
 
   // Analyze latest email
-  const analysis = await analyzeEmail(latestEmail, existing);
+  let analysis;
+  try {
+    analysis = await analyzeEmail(latestEmail, existing, knownFirm);
+  } catch (err) {
+    log(`[Backfill] Skipping ${contactEmail} - analysis failed: ${err.message}`);
+    return { action: 'skipped', reason: 'analysis_failed' };
+  }
 
-  if (!analysis || !analysis.isRelevant) {
+  if (!analysis.isRelevant) {
     log(`[Backfill] Skipping ${contactEmail} - not relevant`);
     return { action: 'skipped', reason: 'not_relevant' };
   }
@@ -109,6 +122,7 @@ async function processContact(contactEmail, emails) {
   let meetingStatus = analysis.meetingStatus;
   let meetingDate = analysis.meetingDate;
   let meetingTime = '';
+  let localTime = '';
   let calendarLink = '';
   let meetLink = '';
   let needsResponse = false;
@@ -116,8 +130,7 @@ async function processContact(contactEmail, emails) {
   if (nextMeeting) {
     // Has upcoming meeting
     meetingStatus = 'Scheduled';
-    meetingDate = nextMeeting.start.split('T')[0];
-    meetingTime = formatMeetingTime(nextMeeting.start);
+    ({ meetingDate, meetingTime, localTime } = getMeetingTimes(nextMeeting));
     calendarLink = nextMeeting.calendarLink || '';
     meetLink = nextMeeting.meetLink || '';
     needsResponse = nextMeeting.needsResponse || false;
@@ -126,8 +139,7 @@ async function processContact(contactEmail, emails) {
     // Had a past meeting
     if (!meetingStatus || meetingStatus === 'New Contact') {
       meetingStatus = 'Completed';
-      meetingDate = lastMeeting.start.split('T')[0];
-      meetingTime = formatMeetingTime(lastMeeting.start);
+      ({ meetingDate, meetingTime, localTime } = getMeetingTimes(lastMeeting));
       calendarLink = lastMeeting.calendarLink || '';
       meetLink = lastMeeting.meetLink || '';
       log(`[Backfill] Found past meeting: ${lastMeeting.title} on ${meetingDate} at ${meetingTime}`);
@@ -144,62 +156,73 @@ async function processContact(contactEmail, emails) {
   }
 
   // Get last contact date
-  const lastContact = new Date(latestEmail.date).toISOString().split('T')[0];
+  const lastContact = toDateValue(latestEmail.date);
 
   // Determine who the meeting is with
   const meetingWith = determineWith(emails);
 
-  // Format meeting date as "11 Jan 2025"
-  const formattedMeetingDate = meetingDate ? formatMeetingDate(meetingDate) : '';
-
   if (existing) {
     // Update existing
     const updates = { lastContact, with: meetingWith };
 
     if (meetingStatus) updates.meetingStatus = meetingStatus;
-    if (formattedMeetingDate) updates.meetingDate = formattedMeetingDate;
-    if (meetingTime) updates.meetingTime = meetingTime;
+    if (meetingDate) updates.meetingDate = meetingDate;
+    if (meetingTime) {
+      updates.meetingTime = meetingTime;
+      updates.localTime = localTime;
+    }
     if (calendarLink) updates.calendarLink = calendarLink;
     if (meetLink) updates.meetLink = meetLink;
     if (analysis.company && !existing.company) updates.company = analysis.company;
-    updates.needsResponse = needsResponse ? 'Yes' : 'No';
+    updates.needsResponse = Boolean(needsResponse);
+    Object.assign(updates, getStageUpdates(existing, analysis.stage, new Date(latestEmail.date)));
+    Object.assign(updates, getRoundUpdates(existing, analysis));
 
-    await updateInvestor(existing.rowIndex, updates);
+    await updateInvestor(existing, updates);
 
     if (notes) {
-      await appendNotes(existing.rowIndex, notes, existing.notes);
+      await appendNotes(existing, notes);
     }
 
     log(`[Backfill] Updated: ${existing.name}`);
-    return { action: 'updated', investor: existing.name };
+    return { action: 'updated', investor: existing.name, record: existing };
   } else {
     // Add new
-    await addInvestor({
+    const record = await addInvestor({
       name: analysis.investorName || latestEmail.fromName,
       email: contactEmail,
-      company: analysis.company || '',
+      company: knownFirm?.name || analysis.company || '',
+      firmId: knownFirm?.firmId || '',
       meetingStatus: meetingStatus || 'Follow-up',
-      meetingDate: formattedMeetingDate,
+      meetingDate: meetingDate || '',
       meetingTime: meetingTime || '',
+      localTime,
       lastContact,
       with: meetingWith,
       calendarLink: calendarLink || '',
       meetLink: meetLink || '',
-      needsResponse: needsResponse ? 'Yes' : 'No',
+      needsResponse: Boolean(needsResponse),
+      ...getInitialStage(analysis.stage, new Date(latestEmail.date)),
+      ...getRoundUpdates({}, analysis),
       notes
     });
 
     log(`[Backfill] Added: ${analysis.investorName || latestEmail.fromName}`);
-    return { action: 'added', investor: analysis.investorName || latestEmail.fromName };
+    return { action: 'added', investor: analysis.investorName || latestEmail.fromName, record };
   }
 }
 
 /**
  * Main backfill function
  */
-async function runBackfill(days = 7, clearFirst = false) {
+async function runBackfill(days = 7, clearFirst = false, { dryRun = false, planFile = null } = {}) {
   try {
+    if (dryRun) enableDryRun();
+
     await initialize();
+    startRun('backfill');
+    resetRetryReport();
+    await refreshCalendarIndex();
 
     if (clearFirst) {
       log('[Backfill] Clearing existing CRM data...');
@@ -211,9 +234,8 @@ async function runBackfill(days = 7, clearFirst = false) {
     const emails = await fetchEmailsFromPastDays(days);
     log(`[Backfill] Found ${emails.length} total emails`);
 
-    // Group by contact
-    const monitoredEmails = getMonitoredEmails();
-    const byContact = groupEmailsByContact(emails, monitoredEmails);
+    // Group by external contact (internal-only mail drops out here)
+    const byContact = groupEmailsByContact(emails);
     log(`[Backfill] Found ${byContact.size} unique contacts`);
 
     const results = {
@@ -222,23 +244,34 @@ async function runBackfill(days = 7, clearFirst = false) {
       skipped: 0
     };
 
+    // Every calendar meeting with a tracked contact, for the meeting history
+    const meetingEntries = [];
+
     // Process each contact
     for (const [contactEmail, contactEmails] of byContact) {
       try {
+        setAuditContext(`gmail:${contactEmails.map(e => e.id).join(',')}`);
         const result = await processContact(contactEmail, contactEmails);
 
         if (result.action === 'added') results.added++;
         else if (result.action === 'updated') results.updated++;
         else results.skipped++;
 
-        // Small delay to avoid rate limits
-        await new Promise(r => setTimeout(r, 500));
+        if (result.record) {
+          meetingEntries.push({ investor: result.record, meetings: await findMeetingsWithAttendee(contactEmail, 60, 60) });
+        }
       } catch (err) {
         error(`[Backfill] Error processing ${contactEmail}:`, err.message);
         results.skipped++;
       }
     }
 
+    log('\n[Backfill] Recording meeting history...');
+    await recordMeetings(meetingEntries);
+
+    log('\n[Backfill] Linking contacts to firms...');
+    await syncFirms();
+
     // Sort sheet by meeting date
     log('\n[Backfill] Sorting CRM by meeting date...');
     await sortByMeetingDate();
@@ -254,6 +287,10 @@ async function runBackfill(days = 7, clearFirst = false) {
     log(`Updated: ${results.updated}`);
     log(`Skipped: ${results.skipped}`);
     log('========================================\n');
+    printRetryReport('[Backfill]');
+
+    await flushAudit();
+    finishDryRun(planFile);
 
   } catch (err) {
     error('[Backfill] Fatal error:', err);
@@ -266,4 +303,4 @@ const args = process.argv.slice(2);
 const days = parseInt(args.find(a => a.match(/^\d+$/)) || '7', 10);
 const clearFirst = args.includes('--clear');
 
-runBackfill(days, clearFirst);
+runBackfill(days, clearFirst, parsePlanArgs(args));
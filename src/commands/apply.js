@@ -0,0 +1,54 @@
+import 'dotenv/config';
+import { initStore, ensureStore } from '../services/store.js';
+import { loadProposals, applyProposals, reviewProposals, parseReviewArgs } from '../services/proposals.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from '../services/plan.js';
+import { startRun, setAuditContext, flushAudit } from '../services/audit.js';
+import { log, error } from '../utils/logger.js';
+
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+
+// Parse arguments
+const args = process.argv.slice(2);
+const file = args.find((a, i) => !a.startsWith('--') && args[i - 1] !== '--plan');
+const { dryRun, planFile } = parsePlanArgs(args);
+const { approveAll } = parseReviewArgs(args);
+
+if (!file) {
+  log('Usage: npm run apply -- proposals.json [--approve-all]');
+  log('\nApplies proposals exported by fill or redo (--export <file>).');
+  log('Without --approve-all you review them again before anything is written.');
+  process.exit(1);
+}
+
+async function apply() {
+  log('========================================');
+  log('APPLY PROPOSALS');
+  log('========================================');
+  log(`File: ${file}\n`);
+
+  if (dryRun) enableDryRun();
+
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore();
+
+  const proposals = loadProposals(file);
+  log(`Loaded ${proposals.length} proposal(s)`);
+
+  startRun('apply');
+  setAuditContext(`proposals: ${file}`);
+
+  if (approveAll) {
+    const results = await applyProposals(proposals);
+    log('[Apply] Done:', results);
+  } else {
+    await reviewProposals(proposals, { source: 'apply' });
+  }
+  await flushAudit();
+
+  finishDryRun(planFile);
+}
+
+apply().catch(err => error(err));
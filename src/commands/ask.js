@@ -1,9 +1,11 @@
 import 'dotenv/config';
-import { initSheets, getInvestors, discoverColumns } from '../services/sheets.js';
+import { initStore, getInvestors, ensureStore } from '../services/store.js';
 import { initClaude, askAboutSheet } from '../services/claude.js';
 import { log, error } from '../utils/logger.js';
 
 const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
 const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
 
@@ -27,8 +29,8 @@ async function ask() {
   log(`Question: ${question}\n`);
 
   // Initialize services
-  await initSheets(SERVICE_ACCOUNT_PATH, SHEET_ID);
-  await discoverColumns();
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore({ readOnly: true });
   initClaude(CLAUDE_API_KEY);
 
   const investors = await getInvestors();
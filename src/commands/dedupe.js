@@ -0,0 +1,136 @@
+import 'dotenv/config';
+import readline from 'readline/promises';
+import { initStore, ensureStore, getInvestors, getFields, updateInvestor, removeInvestor } from '../services/store.js';
+import { findDuplicates, buildMerge, DEFAULT_MIN_SCORE } from '../services/dedupe.js';
+import { formatFieldValue } from '../services/field-types.js';
+import { loadTeam } from '../services/team.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from '../services/plan.js';
+import { startRun, setAuditContext, flushAudit } from '../services/audit.js';
+import { log, warn, error } from '../utils/logger.js';
+
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+const TEAM_CONFIG_PATH = process.env.TEAM_CONFIG_PATH || './config/team.json';
+const MONITORED_EMAILS = (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+
+const args = process.argv.slice(2);
+const { dryRun, planFile } = parsePlanArgs(args);
+const approveAll = args.includes('--approve-all');
+const listOnly = args.includes('--list');
+const scoreIndex = args.indexOf('--min-score');
+const minScore = scoreIndex >= 0 ? Number(args[scoreIndex + 1]) : DEFAULT_MIN_SCORE;
+
+if (args.includes('--help') || Number.isNaN(minScore)) {
+  log('Usage: npm run dedupe [-- options]');
+  log('\nFinds investors that are probably the same person (scored on email,');
+  log('name, firm and domain), shows each pair side by side and merges the');
+  log('ones you approve into one row.');
+  log('\nOptions:');
+  log('  --list              Only show the pairs');
+  log('  --approve-all       Merge every pair without asking');
+  log(`  --min-score <n>     Show pairs scoring at least n (default ${DEFAULT_MIN_SCORE})`);
+  log('  --dry-run           Show the merges as a change plan instead (--plan <file> saves it)');
+  process.exit(args.includes('--help') ? 0 : 1);
+}
+
+const COLUMN_WIDTH = 36;
+
+function cell(field, value) {
+  const text = String(formatFieldValue(field, value)).replace(/\s+/g, ' ');
+  return text.length > COLUMN_WIDTH ? `${text.substring(0, COLUMN_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Print a pair side by side (fields either record has), marking differences
+ */
+function printPair(pair, index, total) {
+  const { keep, merge, score, reasons } = pair;
+  log(`\n[${index + 1}/${total}] Score ${score}: ${reasons.join(', ')}`);
+  log(`  ${''.padEnd(18)} ${`Keep (row ${keep.rowIndex})`.padEnd(COLUMN_WIDTH)}   Merge in (row ${merge.rowIndex})`);
+
+  for (const field of getFields().filter(f => f !== 'recordId')) {
+    const left = cell(field, keep[field]);
+    const right = cell(field, merge[field]);
+    if (!left && !right) continue;
+    log(`${left === right ? ' ' : '*'} ${field.padEnd(18)} ${left.padEnd(COLUMN_WIDTH)}   ${right}`);
+  }
+}
+
+/**
+ * Fold one record into the other and delete it
+ */
+async function mergePair({ keep, merge }) {
+  const updates = buildMerge(keep, merge);
+  setAuditContext(`dedupe: merged ${merge.name || merge.email} into ${keep.name || keep.email}`);
+
+  if (Object.keys(updates).length > 0) {
+    await updateInvestor(keep, updates);
+  }
+  await removeInvestor(merge);
+  log(`[Dedupe] Merged ${merge.name || merge.email} (row ${merge.rowIndex}) into ${keep.name || keep.email}`);
+}
+
+async function dedupe() {
+  log('========================================');
+  log('FIND DUPLICATE INVESTORS');
+  log('========================================\n');
+
+  if (dryRun) enableDryRun();
+
+  loadTeam(TEAM_CONFIG_PATH, MONITORED_EMAILS);
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore({ readOnly: listOnly });
+
+  const investors = await getInvestors();
+  const pairs = findDuplicates(investors, minScore);
+  log(`Found ${pairs.length} likely duplicate pair(s) among ${investors.length} investors`);
+
+  if (pairs.length === 0 || listOnly) {
+    pairs.forEach((pair, i) => printPair(pair, i, pairs.length));
+    return;
+  }
+
+  if (!approveAll && !process.stdin.isTTY) {
+    pairs.forEach((pair, i) => printPair(pair, i, pairs.length));
+    warn('\n[Dedupe] No terminal to review in; nothing merged (use --approve-all to merge every pair)');
+    return;
+  }
+
+  startRun('dedupe');
+  const merged = new Set();
+  const rl = approveAll ? null : readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    for (let i = 0; i < pairs.length; i++) {
+      let pair = pairs[i];
+
+      // A record merged away earlier can't be merged again
+      if (merged.has(pair.keep.recordId) || merged.has(pair.merge.recordId)) {
+        log(`\n[${i + 1}/${pairs.length}] Skipping ${pair.keep.name} / ${pair.merge.name}: already merged`);
+        continue;
+      }
+
+      printPair(pair, i, pairs.length);
+
+      if (rl) {
+        const answer = (await rl.question('Merge? [y]es / [s]wap (keep the right one) / [n]o / [q]uit: ')).trim().toLowerCase();
+        if (answer === 'q') break;
+        if (answer === 's') pair = { ...pair, keep: pair.merge, merge: pair.keep };
+        else if (answer !== 'y') continue;
+      }
+
+      await mergePair(pair);
+      merged.add(pair.merge.recordId);
+    }
+  } finally {
+    rl?.close();
+  }
+
+  await flushAudit();
+  log(`\n[Dedupe] Merged ${merged.size} pair(s)${merged.size > 0 ? ' - undo with npm run undo -- --list' : ''}`);
+  finishDryRun(planFile);
+}
+
+dedupe().catch(err => error(err));
@@ -1,33 +1,47 @@
 import 'dotenv/config';
-import { initSheets, getInvestors, updateInvestor, discoverColumns, columnMap } from '../services/sheets.js';
+import { initStore, getInvestors, ensureStore, getFields } from '../services/store.js';
 import { initClaude, researchInvestor } from '../services/claude.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from '../services/plan.js';
+import { isResearchField } from '../services/schema.js';
+import { buildProposal, reviewProposals, parseReviewArgs } from '../services/proposals.js';
+import { startRun, setAuditContext, flushAudit } from '../services/audit.js';
 import { log, error } from '../utils/logger.js';
 
 const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
 const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
 
+const args = process.argv.slice(2);
+const { dryRun, planFile } = parsePlanArgs(args);
+const { approveAll, exportFile } = parseReviewArgs(args);
+
 async function fillColumns() {
   log('========================================');
   log('FILL EMPTY COLUMNS');
   log('========================================\n');
 
+  if (dryRun) enableDryRun();
+
   // Initialize services
-  await initSheets(SERVICE_ACCOUNT_PATH, SHEET_ID);
-  await discoverColumns();
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore();
   initClaude(CLAUDE_API_KEY);
 
   const investors = await getInvestors();
   log(`Found ${investors.length} investors\n`);
 
-  // Find columns that have empty values
-  const allColumns = Object.keys(columnMap);
+  // Only columns web research can answer - not the firm link, round, stage
+  // or meeting fields the agent maintains from email and calendar
+  const allColumns = getFields().filter(isResearchField);
+  const proposals = [];
 
   for (const inv of investors) {
     const emptyFields = [];
 
     for (const field of allColumns) {
-      if (!inv[field] || inv[field].trim() === '') {
+      if ((inv[field] ?? '') === '') {
         emptyFields.push(field);
       }
     }
@@ -47,9 +61,10 @@ async function fillColumns() {
           }
         }
 
-        if (Object.keys(updates).length > 0) {
-          await updateInvestor(inv.rowIndex, updates);
-          log(`[Fill] Updated: ${JSON.stringify(updates)}`);
+        const proposal = buildProposal(inv, updates);
+        if (proposal) {
+          proposals.push(proposal);
+          log(`[Fill] Proposed: ${Object.keys(proposal.changes).join(', ')}`);
         }
       }
     } catch (err) {
@@ -57,7 +72,14 @@ async function fillColumns() {
     }
   }
 
+  // Nothing lands in the CRM until a human signs off
+  startRun('fill');
+  setAuditContext('fill: web research');
+  await reviewProposals(proposals, { approveAll, exportFile, source: 'fill' });
+  await flushAudit();
+
   log('\n[Fill] Complete!');
+  finishDryRun(planFile);
 }
 
 fillColumns().catch(err => error(err));
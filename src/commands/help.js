@@ -25,6 +25,15 @@ npm run backfill:10weeks
   Example: npm run backfill:10weeks
 
 
+DRY RUN
+-------
+
+Add --dry-run to start, backfill, fill or redo to run everything
+(including Claude) without writing to the CRM. The intended changes
+are printed as a change plan; add --plan <file> to save it as JSON.
+  Example: npm run backfill -- --clear --dry-run --plan plan.json
+
+
 NEW COLUMN COMMANDS
 -------------------
 
@@ -33,7 +42,9 @@ npm run fill
   Example: npm run fill
 
   This will scan all investors and use web search to fill
-  any columns that are empty (company, notes, etc.)
+  any columns that are empty (company, location, about, notes,
+  custom columns, and schema fields marked "research": true).
+  Round, stage, meeting and ID columns are never researched.
 
 
 npm run redo -- --columns "col1,col2" --prompt "guidance"
@@ -49,6 +60,98 @@ npm run redo -- --columns "col1,col2" --prompt "guidance"
     name, company, email, status, meeting, notes, with
 
 
+REVIEWING FILL / REDO CHANGES
+-----------------------------
+
+fill and redo never write straight to the CRM. They show a
+before/after diff per investor and ask you to approve all,
+review each row, export, or discard.
+
+  --approve-all        Apply every proposed change without asking
+  --export <file>      Save proposals to a JSON file instead
+
+  Example: npm run fill -- --export data/fill.json
+
+npm run apply -- <file> [--approve-all]
+  Apply proposals exported by fill or redo (after editing the
+  file if needed). Fields edited in the sheet since the proposal
+  was made are skipped.
+  Example: npm run apply -- data/fill.json
+
+
+CHANGE HISTORY & UNDO
+---------------------
+
+Every CRM write from sync, backfill, fill, redo and apply is logged
+(timestamp, run ID, investor, field, old and new value, and the Gmail
+message IDs or prompt behind it) to the "Audit" tab, or to
+data/audit.jsonl with the local store.
+
+npm run undo -- --list
+  List recent runs and how much each changed
+
+npm run undo -- --run <run id>
+  Revert everything a run changed
+  Example: npm run undo -- --run sync-20250115-103000
+
+npm run undo -- --investor <email|name>
+  Revert the most recent change to one investor
+  Example: npm run undo -- --investor john@vc.com
+
+  Fields edited by someone else since are left alone and reported.
+
+
+MERGING DUPLICATES
+------------------
+
+npm run dedupe
+  Find investors that are probably the same person (same email,
+  similar name, same firm or domain) and review each pair side by
+  side: [y]es merges, [s]wap keeps the other record, [n]o skips
+
+npm run dedupe -- --list
+  Only show the pairs
+
+npm run dedupe -- --approve-all
+  Merge every pair without asking
+
+npm run dedupe -- --min-score <n>
+  Only pairs scoring at least n (default 50; a shared email alone is 100)
+
+  A merge fills empty fields, keeps the later meeting and last contact,
+  moves the stage forward, combines notes and keeps the other address in
+  Alternate Emails. The removed row can be restored with npm run undo.
+
+
+RETRY QUEUE
+-----------
+
+Threads that fail to process (analysis, Sheets or Calendar errors)
+are queued in the state file and retried on later sync cycles with
+backoff (5 min, doubling up to a day).
+
+npm run queue
+  List queued threads with attempts and last error
+
+npm run queue -- --retry [key]
+  Retry all (or one) on the next sync cycle
+
+npm run queue -- --purge [key]
+  Drop all (or one) from the queue
+
+npm run queue -- --purge --given-up
+  Drop the threads given up on after 10 failed attempts
+  (--retry gives them one more attempt instead)
+
+
+ROUND SUMMARY
+-------------
+
+npm run round
+  Round target, committed, soft-circled and remaining amounts, plus
+  each investor's allocation (set round.target in config/crm.json)
+
+
 ASK QUESTIONS
 -------------
 
@@ -64,8 +167,20 @@ npm run ask -- "your question"
     npm run ask -- "Compare our top 3 investors"
 
 
-SHEET COLUMNS (auto-detected)
------------------------------
+SHEET COLUMNS (config/schema.json)
+----------------------------------
+
+Headers must match a field's header or one of its aliases exactly (case
+doesn't matter) - "Date Added" is NOT a meeting date. Other headers are
+kept as custom columns.
+
+npm run schema -- validate
+  Show how each header maps, and report ambiguous, duplicate, missing
+  or unmapped headers
+
+npm run schema -- init
+  Set up a fresh sheet: header row, dropdowns for status/stage/with
+  columns, date/time/currency formats, hidden ID columns
 
 Required:
   - Name / Investor Name
@@ -74,28 +189,51 @@ Required:
 Optional (agent fills these):
   - Company / Fund / Firm
   - Status / Meeting Status (Scheduled | Completed | Follow-up)
-  - Meeting / Meeting Date (format: 11 Jan 2025)
-  - Time / Meeting Time (format: 2:30 PM)
-  - With (Avi | Yuval | Both)
+  - Meeting / Meeting Date (written as 11 Jan 2025, see formats)
+  - Time / Meeting Time (written as 2:30 PM, see formats)
+  - Alternate Emails (other addresses for the same person, comma-separated)
+  - Investor Time (the start in the investor's timezone, e.g. 9:00 AM AEDT)
+  - With (team member names from config/team.json, groups like "Avi & Yuval", or Both/All)
   - Notes
   - Calendar Link / Calendar
   - Meet Link / Meeting Link
   - Needs Response (Yes | No)
   - Last Contact
+  - Stage / Deal Stage (stages from config/crm.json)
+  - Stage Changed (date of the last stage move)
+  - Check Size / Commitment (amounts, e.g. $500K)
+  - Commitment Status (Soft-circled | Committed)
+  - Lead/Follow (Lead | Follow)
+  - Terms / Valuation
+
+Dates and times are written in the CRM timezone ("timeZone" in
+config/crm.json, else the spreadsheet's timezone), or a team member's own
+"timeZone" from config/team.json for meetings only they attend. Investor
+Time shows the start in the invite's timezone when it's different.
+
+Date, time, yes/no and amount cells are read whatever their format
+("2025-01-11", "11 Jan 2025", a real date cell, "TRUE" / "Yes"), and
+written in the formats from config/crm.json:
+  "formats": { "date": "D MMM YYYY", "time": "h:mm A", "boolean": ["Yes", "No"] }
 
 
 TIPS
 ----
 
-1. The agent only tracks EXTERNAL VC investors (not internal Zealot team)
-2. Row colors:
+1. The agent only tracks EXTERNAL VC investors (not your internal team)
+2. Row colors (defaults - change them in config/crm.json):
    - GREEN = Upcoming meeting (confirmed)
    - YELLOW = Meeting needs your response (hasn't accepted invite)
    - WHITE = No upcoming meeting or completed
 3. Rows are auto-sorted by: date → time → company (groups same-firm investors)
-4. Calendar and Meet links auto-populate from Google Calendar
+4. Calendar and Meet links auto-populate from Google Calendar; every
+   meeting is kept in the "Meetings" tab with its outcome
+   Contacts are grouped by fund in the "Firms" tab (stage, last contact
+   and meetings rolled up); new senders at a known firm's domain join it
 5. Web search is enabled for fill, redo, and ask commands
 6. No duplicate names - updates existing rows instead of creating new ones
+7. Deal stages only move forward (or as allowed by stages.transitions in
+   config/crm.json); Committed and Passed are final by default
 
 ========================================
 `);
@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import { initState, getRetryQueue, purgeRetryQueue, retryNow, MAX_RETRY_ATTEMPTS } from '../services/state.js';
+import { log } from '../utils/logger.js';
+
+const STATE_PATH = process.env.STATE_PATH || './data/state.json';
+
+// Parse arguments
+const args = process.argv.slice(2);
+const action = args.find(a => ['--purge', '--retry'].includes(a)) || '--list';
+const key = args.find(a => !a.startsWith('--')) || null;
+const givenUpOnly = args.includes('--given-up');
+
+if (args.includes('--help')) {
+  log('Usage:');
+  log('  npm run queue                       List threads waiting to be retried');
+  log('  npm run queue -- --retry [key]      Retry all (or one) on the next sync cycle');
+  log('  npm run queue -- --purge [key]      Drop all (or one) from the queue');
+  log('  npm run queue -- --purge --given-up  Drop only the threads given up on');
+  log(`\nA thread is given up on after ${MAX_RETRY_ATTEMPTS} failed attempts; --retry gives it one more.`);
+  process.exit(0);
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').substring(0, 19) : 'next cycle';
+}
+
+function listQueue() {
+  const queue = getRetryQueue();
+
+  if (queue.length === 0) {
+    log('Retry queue is empty');
+    return;
+  }
+
+  const givenUp = queue.filter(entry => entry.givenUp).length;
+  log(`${queue.length} thread(s) in the retry queue${givenUp > 0 ? `, ${givenUp} given up on` : ''}:\n`);
+  for (const entry of queue) {
+    log(`  ${entry.key}`);
+    log(`    Subject:  ${entry.subject || '(no subject)'}`);
+    log(`    Emails:   ${entry.emails.length}`);
+    log(`    Attempts: ${entry.attempts} (first failed ${formatTime(entry.firstFailedAt)})`);
+    log(`    Error:    ${entry.reason}: ${entry.lastError || 'unknown'}`);
+    log(`    Next try: ${entry.givenUp ? 'given up (--retry to try again, --purge to drop)' : formatTime(entry.nextAttemptAt)}\n`);
+  }
+}
+
+initState(STATE_PATH);
+
+if (action === '--purge') {
+  const removed = purgeRetryQueue(key, { givenUp: givenUpOnly });
+  log(`Removed ${removed} thread(s) from the retry queue`);
+} else if (action === '--retry') {
+  const count = retryNow(key);
+  log(`${count} thread(s) will be retried on the next sync cycle`);
+} else {
+  listQueue();
+}
@@ -1,16 +1,26 @@
 import 'dotenv/config';
-import { initSheets, getInvestors, updateInvestor, discoverColumns, columnMap } from '../services/sheets.js';
+import { initStore, getInvestors, ensureStore } from '../services/store.js';
 import { initClaude, redoColumnForInvestor } from '../services/claude.js';
+import { loadTeam } from '../services/team.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from '../services/plan.js';
+import { buildProposal, reviewProposals, parseReviewArgs } from '../services/proposals.js';
+import { startRun, setAuditContext, flushAudit } from '../services/audit.js';
 import { log, error } from '../utils/logger.js';
 
 const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
 const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
+const TEAM_CONFIG_PATH = process.env.TEAM_CONFIG_PATH || './config/team.json';
+const MONITORED_EMAILS = (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
 
 // Parse arguments
 const args = process.argv.slice(2);
 let columns = [];
 let prompt = '';
+const { dryRun, planFile } = parsePlanArgs(args);
+const { approveAll, exportFile } = parseReviewArgs(args);
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--columns' && args[i + 1]) {
@@ -37,10 +47,13 @@ async function redoColumns() {
   log(`Columns: ${columns.join(', ')}`);
   log(`Prompt: ${prompt || '(none)'}\n`);
 
+  if (dryRun) enableDryRun();
+
   // Initialize services
-  await initSheets(SERVICE_ACCOUNT_PATH, SHEET_ID);
-  await discoverColumns();
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore();
   initClaude(CLAUDE_API_KEY);
+  loadTeam(TEAM_CONFIG_PATH, MONITORED_EMAILS);
 
   const investors = await getInvestors();
   log(`Found ${investors.length} investors\n`);
@@ -53,6 +66,12 @@ async function redoColumns() {
     'status': 'meetingStatus',
     'meetingstatus': 'meetingStatus',
     'meeting status': 'meetingStatus',
+    'stage': 'stage',
+    'check size': 'checkSize',
+    'commitment': 'commitmentAmount',
+    'commitment status': 'commitmentStatus',
+    'lead/follow': 'leadStatus',
+    'terms': 'terms',
     'name': 'name',
     'company': 'company',
     'email': 'email',
@@ -63,6 +82,7 @@ async function redoColumns() {
   };
 
   const targetFields = columns.map(c => fieldMap[c.toLowerCase()] || c);
+  const proposals = [];
 
   for (const inv of investors) {
     log(`\n[Redo] Processing: ${inv.name}`);
@@ -78,9 +98,10 @@ async function redoColumns() {
           }
         }
 
-        if (Object.keys(updates).length > 0) {
-          await updateInvestor(inv.rowIndex, updates);
-          log(`[Redo] Updated: ${JSON.stringify(updates)}`);
+        const proposal = buildProposal(inv, updates);
+        if (proposal) {
+          proposals.push(proposal);
+          log(`[Redo] Proposed: ${Object.keys(proposal.changes).join(', ')}`);
         }
       }
     } catch (err) {
@@ -88,7 +109,14 @@ async function redoColumns() {
     }
   }
 
+  // Nothing lands in the CRM until a human signs off
+  startRun('redo');
+  setAuditContext(`redo prompt: ${prompt || '(none)'}`);
+  await reviewProposals(proposals, { approveAll, exportFile, source: 'redo' });
+  await flushAudit();
+
   log('\n[Redo] Complete!');
+  finishDryRun(planFile);
 }
 
 redoColumns().catch(err => error(err));
@@ -0,0 +1,26 @@
+import 'dotenv/config';
+import { initStore, getInvestors, ensureStore } from '../services/store.js';
+import { printRoundSummary } from '../services/round.js';
+import { log, error } from '../utils/logger.js';
+
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+
+if (process.argv.includes('--help')) {
+  log('Usage: npm run round');
+  log('\nPrints the round target (round.target in config/crm.json), committed,');
+  log('soft-circled and remaining amounts, and each investor\'s allocation.');
+  process.exit(0);
+}
+
+async function round() {
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore({ readOnly: true });
+
+  const investors = await getInvestors();
+  printRoundSummary(investors);
+}
+
+round().catch(err => error(err));
@@ -0,0 +1,101 @@
+import 'dotenv/config';
+import { initSheets, ensureCRMSheet, getHeaderRow, initSheetFromSchema } from '../services/sheets.js';
+import { loadSchema, getSchemaFields, checkSchema, matchHeaders } from '../services/schema.js';
+import { loadTeam } from '../services/team.js';
+import { log, error } from '../utils/logger.js';
+
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+const TEAM_CONFIG_PATH = process.env.TEAM_CONFIG_PATH || './config/team.json';
+const MONITORED_EMAILS = (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+
+const action = process.argv[2];
+
+if (!['validate', 'init'].includes(action)) {
+  log('Usage:');
+  log('  npm run schema -- validate    Check the sheet\'s headers against the schema');
+  log('  npm run schema -- init        Set up a fresh sheet (headers, dropdowns, formats)');
+  log('\nThe schema is config/schema.json on top of the built-in fields (CRM_SCHEMA_PATH).');
+  process.exit(action === '--help' ? 0 : 1);
+}
+
+/**
+ * Report how the sheet's headers map to schema fields, and anything wrong
+ * Returns the number of problems found
+ */
+async function validate() {
+  let problems = checkSchema();
+  for (const problem of problems) {
+    log(`  ✗ Schema: ${problem}`);
+  }
+
+  if (CRM_STORE !== 'sheets') {
+    log(`\nCRM_STORE=${CRM_STORE}: the schema maps Google Sheet headers, so there is no sheet to check`);
+    return problems.length;
+  }
+
+  initSheets(SERVICE_ACCOUNT_PATH, SHEET_ID);
+  await ensureCRMSheet({ readOnly: true });
+
+  const fields = getSchemaFields();
+  const headers = getHeaderRow();
+  const { columns, ambiguous, duplicates, unmapped, missing } = matchHeaders(headers);
+
+  log('\nCOLUMNS');
+  log('-------');
+  for (const { header, field } of columns) {
+    const type = field ? fields.find(f => f.name === field).type : null;
+    log(`  ${header.padEnd(24)} → ${field ? `${field} (${type})` : 'custom column'}`);
+  }
+
+  log('');
+  for (const { header, fields: matched } of ambiguous) {
+    log(`  ✗ Ambiguous: "${header}" matches ${matched.join(' and ')}`);
+  }
+  for (const { field, headers: both } of duplicates) {
+    log(`  ✗ Duplicate: "${both[0]}" and "${both[1]}" both map to ${field}`);
+  }
+  for (const field of missing) {
+    log(`  ✗ Missing required column for ${field} ("${fields.find(f => f.name === field).header}")`);
+  }
+  for (const header of unmapped) {
+    log(`  - Unmapped: "${header}" is kept as a custom column (add it to config/schema.json to give it a type)`);
+  }
+
+  const mapped = new Set(columns.map(c => c.field).filter(Boolean));
+  for (const field of fields.filter(f => f.autoAdd && !mapped.has(f.name))) {
+    log(`  - "${field.header}" will be added on the next run`);
+  }
+
+  problems = problems.length + ambiguous.length + duplicates.length + missing.length;
+  log(problems === 0 ? '\nSchema OK' : `\n${problems} problem(s) found`);
+  return problems;
+}
+
+async function init() {
+  if (CRM_STORE !== 'sheets') {
+    log(`CRM_STORE=${CRM_STORE}: schema init sets up a Google Sheet, nothing to do`);
+    return;
+  }
+
+  initSheets(SERVICE_ACCOUNT_PATH, SHEET_ID);
+  const fields = await initSheetFromSchema();
+  log(`\nCreated ${fields.length} column(s): ${fields.map(f => f.header).join(', ')}`);
+}
+
+async function main() {
+  loadTeam(TEAM_CONFIG_PATH, MONITORED_EMAILS);
+  loadSchema();
+
+  if (action === 'init') {
+    await init();
+  } else if (await validate() > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  error(err.message);
+  process.exitCode = 1;
+});
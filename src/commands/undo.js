@@ -0,0 +1,168 @@
+import 'dotenv/config';
+import { initStore, ensureStore, getInvestors, findInvestorByEmail, findInvestorByName, addInvestor, updateInvestor, removeInvestor } from '../services/store.js';
+import { startRun, setAuditContext, flushAudit, getAuditLog } from '../services/audit.js';
+import { parseFieldValue } from '../services/field-types.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from '../services/plan.js';
+import { log, warn, error } from '../utils/logger.js';
+
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const CRM_STORE = process.env.CRM_STORE || 'sheets';
+const CRM_LOCAL_PATH = process.env.CRM_LOCAL_PATH || './data/crm.json';
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json';
+
+// Parse arguments
+const args = process.argv.slice(2);
+let runId = null;
+let investorQuery = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--run' && args[i + 1]) {
+    runId = args[i + 1];
+    i++;
+  } else if (args[i] === '--investor' && args[i + 1]) {
+    investorQuery = args[i + 1];
+    i++;
+  }
+}
+
+const listOnly = args.includes('--list');
+const { dryRun, planFile } = parsePlanArgs(args);
+
+if (!runId && !investorQuery && !listOnly) {
+  log('Usage:');
+  log('  npm run undo -- --list                     List recent runs');
+  log('  npm run undo -- --run <run id>             Revert everything a run changed');
+  log('  npm run undo -- --investor <email|name>    Revert the last change to one investor');
+  process.exit(1);
+}
+
+/**
+ * Print the most recent runs in the audit log
+ */
+function listRuns(entries) {
+  const runs = new Map();
+  for (const entry of entries) {
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, { source: entry.source, started: entry.timestamp, records: new Set(), changes: 0 });
+    }
+    const run = runs.get(entry.runId);
+    run.records.add(entry.recordId);
+    run.changes++;
+  }
+
+  log('Recent runs (newest last):\n');
+  for (const [id, run] of [...runs].slice(-20)) {
+    log(`  ${id}  ${run.source.padEnd(8)}  ${run.started}  ${run.changes} change(s) to ${run.records.size} investor(s)`);
+  }
+}
+
+/**
+ * Revert audit entries, newest first
+ *
+ * A field is only reverted if it still holds the value the entry wrote;
+ * anything changed since then is reported and left alone.
+ */
+async function revertEntries(entries) {
+  const investors = await getInvestors();
+  const byId = new Map(investors.map(inv => [inv.recordId, inv]));
+  const results = { reverted: 0, conflicts: 0 };
+
+  for (const entry of [...entries].reverse()) {
+    const current = byId.get(entry.recordId);
+
+    if (entry.field === '_record' && !entry.oldValue) {
+      // Undo an add
+      if (current) {
+        await removeInvestor(current);
+        byId.delete(entry.recordId);
+        results.reverted++;
+      }
+      continue;
+    }
+
+    if (entry.field === '_record') {
+      // Undo a remove/clear
+      if (!current) {
+        const restored = await addInvestor(JSON.parse(entry.oldValue));
+        byId.set(restored.recordId, restored);
+        results.reverted++;
+      }
+      continue;
+    }
+
+    if (!current) {
+      warn(`[Undo] ${entry.investor} no longer exists, skipping ${entry.field}`);
+      results.conflicts++;
+      continue;
+    }
+
+    // The Audit tab holds text ("true", "2500000"); compare as typed values
+    if ((current[entry.field] ?? '') !== parseFieldValue(entry.field, entry.newValue)) {
+      warn(`[Undo] ${entry.investor}: ${entry.field} was changed after ${entry.runId}, leaving it alone`);
+      results.conflicts++;
+      continue;
+    }
+
+    const oldValue = parseFieldValue(entry.field, entry.oldValue);
+    await updateInvestor(current, { [entry.field]: oldValue });
+    current[entry.field] = oldValue;
+    results.reverted++;
+  }
+
+  return results;
+}
+
+async function undo() {
+  log('========================================');
+  log('UNDO');
+  log('========================================\n');
+
+  if (dryRun) enableDryRun();
+
+  initStore({ type: CRM_STORE, serviceAccountPath: SERVICE_ACCOUNT_PATH, sheetId: SHEET_ID, localPath: CRM_LOCAL_PATH });
+  await ensureStore({ readOnly: listOnly });
+
+  const entries = await getAuditLog();
+
+  if (listOnly) {
+    listRuns(entries);
+    return;
+  }
+
+  let toRevert;
+
+  if (runId) {
+    toRevert = entries.filter(e => e.runId === runId);
+  } else {
+    const investor = investorQuery.includes('@')
+      ? await findInvestorByEmail(investorQuery)
+      : await findInvestorByName(investorQuery);
+
+    if (!investor) {
+      error(`[Undo] No investor matching "${investorQuery}"`);
+      return;
+    }
+
+    const investorEntries = entries.filter(e => e.recordId === investor.recordId);
+    const lastRunId = investorEntries[investorEntries.length - 1]?.runId;
+    toRevert = investorEntries.filter(e => e.runId === lastRunId);
+    log(`[Undo] Last change to ${investor.name} was in ${lastRunId || '(none)'}`);
+  }
+
+  if (!toRevert || toRevert.length === 0) {
+    log('[Undo] Nothing to revert');
+    return;
+  }
+
+  log(`[Undo] Reverting ${toRevert.length} change(s)...`);
+  startRun('undo');
+  setAuditContext(`undo ${runId || investorQuery}`);
+
+  const results = await revertEntries(toRevert);
+  await flushAudit();
+
+  log('\n[Undo] Done:', results);
+  finishDryRun(planFile);
+}
+
+undo().catch(err => error(err));
@@ -1,9 +1,14 @@
 import 'dotenv/config';
 import { initGmail } from './services/gmail.js';
-import { initSheets, ensureCRMSheet } from './services/sheets.js';
+import { initStore, ensureStore } from './services/store.js';
 import { initCalendar } from './services/calendar.js';
 import { initClaude } from './services/claude.js';
+import { initState } from './services/state.js';
+import { loadTeam } from './services/team.js';
+import { loadSettings } from './services/settings.js';
+import { loadSchema } from './services/schema.js';
 import { startContinuousSync, runSyncCycle, printCRMStatus } from './services/sync.js';
+import { enableDryRun, parsePlanArgs, finishDryRun } from './services/plan.js';
 import { log, error } from './utils/logger.js';
 
 // Configuration from environment
@@ -12,12 +17,23 @@ const config = {
   serviceAccountPath: process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './service-account.json',
   // Google Sheet ID for CRM
   sheetId: process.env.GOOGLE_SHEET_ID,
+  // CRM storage: 'sheets' (Google Sheet) or 'local' (JSON file)
+  storeType: process.env.CRM_STORE || 'sheets',
+  localStorePath: process.env.CRM_LOCAL_PATH || './data/crm.json',
   // Claude API key
   claudeApiKey: process.env.CLAUDE_API_KEY,
   // Email addresses to monitor (comma-separated)
   monitoredEmails: (process.env.MONITORED_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean),
   // Sync interval in minutes
-  syncInterval: parseInt(process.env.SYNC_INTERVAL_MINUTES || '5', 10)
+  syncInterval: parseInt(process.env.SYNC_INTERVAL_MINUTES || '5', 10),
+  // Team members, addresses and internal domains
+  teamConfigPath: process.env.TEAM_CONFIG_PATH || './config/team.json',
+  // CRM settings (row colors, ...)
+  crmConfigPath: process.env.CRM_CONFIG_PATH || './config/crm.json',
+  // Sheet headers -> CRM fields, with types
+  schemaPath: process.env.CRM_SCHEMA_PATH || './config/schema.json',
+  // Durable sync state (Gmail history cursors, processed message IDs)
+  statePath: process.env.STATE_PATH || './data/state.json'
 };
 
 /**
@@ -26,7 +42,7 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  if (!config.sheetId) errors.push('GOOGLE_SHEET_ID');
+  if (config.storeType === 'sheets' && !config.sheetId) errors.push('GOOGLE_SHEET_ID');
   if (!config.claudeApiKey) errors.push('CLAUDE_API_KEY');
   if (config.monitoredEmails.length === 0) errors.push('MONITORED_EMAILS');
 
@@ -51,6 +67,16 @@ async function initialize() {
 
   log(`[Init] Monitoring emails: ${config.monitoredEmails.join(', ')}`);
 
+  log('[Init] Loading team configuration...');
+  loadTeam(config.teamConfigPath, config.monitoredEmails);
+
+  log('[Init] Loading CRM settings...');
+  loadSettings(config.crmConfigPath);
+  loadSchema(config.schemaPath);
+
+  log('[Init] Loading sync state...');
+  initState(config.statePath);
+
   log('[Init] Initializing Claude API...');
   initClaude(config.claudeApiKey);
 
@@ -60,11 +86,16 @@ async function initialize() {
   log('[Init] Initializing Google Calendar API...');
   initCalendar(config.serviceAccountPath, config.monitoredEmails);
 
-  log('[Init] Initializing Google Sheets API...');
-  initSheets(config.serviceAccountPath, config.sheetId);
+  log('[Init] Initializing CRM store...');
+  initStore({
+    type: config.storeType,
+    serviceAccountPath: config.serviceAccountPath,
+    sheetId: config.sheetId,
+    localPath: config.localStorePath
+  });
 
-  log('[Init] Ensuring CRM sheet exists...');
-  await ensureCRMSheet();
+  log('[Init] Ensuring CRM store is ready...');
+  await ensureStore();
 
   log('[Init] All services initialized successfully!');
 }
@@ -73,19 +104,23 @@ async function initialize() {
  * Main entry point
  */
 async function main() {
+  // Check command line arguments
+  const args = process.argv.slice(2);
+  const { dryRun, planFile } = parsePlanArgs(args);
+
   try {
+    if (dryRun) enableDryRun();
+
     await initialize();
 
     // Print current CRM status
     await printCRMStatus();
 
-    // Check command line arguments
-    const args = process.argv.slice(2);
-
-    if (args.includes('--once')) {
-      // Run single sync cycle
+    if (args.includes('--once') || dryRun) {
+      // Run single sync cycle (a dry run never loops - nothing it sees is marked processed)
       log('[Main] Running single sync cycle...');
       await runSyncCycle();
+      finishDryRun(planFile);
       log('[Main] Done.');
       process.exit(0);
     } else {
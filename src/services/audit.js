@@ -0,0 +1,92 @@
+import { log, error } from '../utils/logger.js';
+
+// Flush buffered entries once this many are waiting
+const MAX_BUFFERED_ENTRIES = 100;
+
+let sink = null;
+let run = { runId: null, source: 'unknown' };
+let context = '';
+let buffer = [];
+
+/**
+ * Set where audit entries are written (the active CRM store's audit log)
+ */
+export function setAuditSink(auditSink) {
+  sink = auditSink;
+}
+
+/**
+ * Start a new audited run - every write until the next startRun shares its run ID
+ */
+export function startRun(source) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '').replace('T', '-');
+  run = { runId: `${source}-${stamp}`, source };
+  context = '';
+  log(`[Audit] Run ${run.runId}`);
+  return run.runId;
+}
+
+/**
+ * Get the current run ID
+ */
+export function getRunId() {
+  return run.runId;
+}
+
+/**
+ * Describe what is driving the next writes (e.g. "gmail:18c2f..." or a redo prompt)
+ */
+export function setAuditContext(value) {
+  context = value || '';
+}
+
+/**
+ * Record field changes for an investor: { field: { from, to } }
+ */
+export function recordAudit(investor, changes) {
+  const timestamp = new Date().toISOString();
+
+  for (const [field, { from, to }] of Object.entries(changes)) {
+    buffer.push({
+      timestamp,
+      runId: run.runId || `${run.source}-adhoc`,
+      source: run.source,
+      recordId: investor.recordId || '',
+      investor: investor.name || investor.email || '',
+      field,
+      oldValue: from ?? '',
+      newValue: to ?? '',
+      context
+    });
+  }
+
+  if (buffer.length >= MAX_BUFFERED_ENTRIES) {
+    return flushAudit();
+  }
+}
+
+/**
+ * Write buffered audit entries to the audit log
+ */
+export async function flushAudit() {
+  if (!sink || buffer.length === 0) return;
+
+  const entries = buffer;
+  buffer = [];
+
+  try {
+    await sink.append(entries);
+  } catch (err) {
+    // Keep them for the next flush rather than losing the history
+    buffer = entries.concat(buffer);
+    error('[Audit] Could not write audit entries:', err.message);
+  }
+}
+
+/**
+ * Read the full audit log (oldest first)
+ */
+export async function getAuditLog() {
+  await flushAudit();
+  return sink ? sink.read() : [];
+}
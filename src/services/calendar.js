@@ -1,8 +1,18 @@
 import { google } from 'googleapis';
 import fs from 'fs';
 import { log, error } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+
+// Events from this far back/ahead are indexed (covers next/last meeting lookups)
+const INDEX_DAYS_BACK = 60;
+const INDEX_DAYS_AHEAD = 60;
+
+// Re-list every calendar in full once a day so the index window moves with it
+const FULL_RESYNC_MS = 24 * 60 * 60 * 1000;
 
 let calendarClients = new Map(); // email -> calendar client
+let calendarIndex = new Map(); // email -> { events: Map(id -> event), syncToken, fullSyncAt }
+let indexErrors = new Map(); // email -> last indexing error
 
 /**
  * Initialize Google Calendar API clients for multiple users using Service Account
@@ -18,7 +28,7 @@ export function initCalendar(serviceAccountPath, emails) {
       subject: email // Impersonate this user
     });
 
-    const calendar = google.calendar({ version: 'v3', auth });
+    const calendar = google.calendar({ version: 'v3', auth, retry: false });
     calendarClients.set(email, calendar);
     log(`[Calendar] Initialized client for ${email}`);
   }
@@ -38,154 +48,195 @@ function getCalendarClient(email) {
 }
 
 /**
- * Get upcoming meetings from all monitored calendars
+ * Get upcoming meetings from all monitored calendars (from the calendar index)
  */
 export async function getUpcomingMeetings(daysAhead = 30) {
-  const allMeetings = [];
+  const meetings = await queryIndex(null, 0, daysAhead);
+  return meetings.filter(m => !m.isPast);
+}
 
-  for (const email of calendarClients.keys()) {
-    try {
-      const meetings = await getUpcomingMeetingsForUser(email, daysAhead);
-      allMeetings.push(...meetings);
-    } catch (err) {
-      error(`[Calendar] Error fetching meetings for ${email}:`, err.message);
-    }
-  }
+/**
+ * Turn a Calendar API event into a meeting as seen from one calendar
+ */
+function toMeeting(event, calendarEmail, now = new Date()) {
+  const eventStart = new Date(event.start?.dateTime || event.start?.date);
+
+  // Check if calendar owner needs to respond
+  const ownerAttendee = (event.attendees || []).find(
+    a => a.email?.toLowerCase() === calendarEmail.toLowerCase()
+  );
+
+  return {
+    id: event.id,
+    title: event.summary || '',
+    description: event.description || '',
+    start: event.start?.dateTime || event.start?.date,
+    end: event.end?.dateTime || event.end?.date,
+    timeZone: event.start?.timeZone || null,
+    calendarOwner: calendarEmail,
+    isPast: eventStart < now,
+    needsResponse: ownerAttendee?.responseStatus === 'needsAction',
+    status: event.status,
+    meetLink: event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri || '',
+    calendarLink: event.htmlLink || '',
+    attendees: (event.attendees || []).map(a => ({
+      email: a.email?.toLowerCase(),
+      name: a.displayName || a.email,
+      response: a.responseStatus
+    }))
+  };
+}
 
-  return allMeetings;
+/**
+ * List events page by page (the API caps a page at 250 events)
+ * Returns { items, nextSyncToken }
+ */
+async function listAllEvents(calendar, params) {
+  const items = [];
+  let pageToken;
+  let nextSyncToken = null;
+
+  do {
+    const response = await withRetry('calendar', 'events.list', () => calendar.events.list({
+      calendarId: 'primary',
+      singleEvents: true,
+      maxResults: 250,
+      ...params,
+      pageToken
+    }));
+
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+    nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { items, nextSyncToken };
 }
 
 /**
- * Get upcoming meetings for a specific user
+ * Rebuild one calendar's index from a full listing of the index window
  */
-async function getUpcomingMeetingsForUser(email, daysAhead = 30) {
-  const calendar = getCalendarClient(email);
+async function fullSyncCalendar(calendarEmail) {
+  const calendar = getCalendarClient(calendarEmail);
 
-  const now = new Date();
-  const future = new Date();
-  future.setDate(future.getDate() + daysAhead);
+  const windowStart = new Date();
+  windowStart.setDate(windowStart.getDate() - INDEX_DAYS_BACK);
+  const windowEnd = new Date();
+  windowEnd.setDate(windowEnd.getDate() + INDEX_DAYS_AHEAD);
+
+  const { items, nextSyncToken } = await listAllEvents(calendar, {
+    timeMin: windowStart.toISOString(),
+    timeMax: windowEnd.toISOString()
+  });
+
+  calendarIndex.set(calendarEmail, {
+    events: new Map(items.map(event => [event.id, event])),
+    syncToken: nextSyncToken,
+    fullSyncAt: Date.now()
+  });
+
+  log(`[Calendar] Indexed ${items.length} event(s) for ${calendarEmail}`);
+}
+
+/**
+ * Apply changes since the last listing to one calendar's index
+ * A sync token the API no longer accepts (410 Gone) falls back to a full sync.
+ */
+async function incrementalSyncCalendar(calendarEmail) {
+  const calendar = getCalendarClient(calendarEmail);
+  const entry = calendarIndex.get(calendarEmail);
 
   try {
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: now.toISOString(),
-      timeMax: future.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 100
-    });
+    const { items, nextSyncToken } = await listAllEvents(calendar, { syncToken: entry.syncToken });
+
+    for (const event of items) {
+      if (event.status === 'cancelled') {
+        entry.events.delete(event.id);
+      } else {
+        entry.events.set(event.id, event);
+      }
+    }
+    entry.syncToken = nextSyncToken || entry.syncToken;
 
-    const events = response.data.items || [];
-
-    return events.map(event => ({
-      id: event.id,
-      title: event.summary || '',
-      description: event.description || '',
-      start: event.start?.dateTime || event.start?.date,
-      end: event.end?.dateTime || event.end?.date,
-      calendarOwner: email,
-      attendees: (event.attendees || []).map(a => ({
-        email: a.email?.toLowerCase(),
-        name: a.displayName || a.email,
-        response: a.responseStatus
-      })),
-      meetLink: event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri || '',
-      calendarLink: event.htmlLink || '',
-      location: event.location || '',
-      status: event.status
-    }));
+    if (items.length > 0) {
+      log(`[Calendar] ${items.length} changed event(s) for ${calendarEmail}`);
+    }
   } catch (err) {
-    error(`[Calendar] Error fetching events for ${email}:`, err.message);
-    throw err;
+    if (err.response?.status !== 410) throw err;
+
+    log(`[Calendar] Sync token expired for ${calendarEmail}, re-indexing`);
+    await fullSyncCalendar(calendarEmail);
   }
 }
 
 /**
- * Find meetings with a specific attendee email across all calendars
+ * Bring the calendar index up to date - call once per sync cycle
+ *
+ * Each calendar is listed in full on first use and once a day (so the
+ * window keeps moving); in between only changes are fetched via sync tokens.
+ * A calendar that can't be read makes lookups fail until the next refresh,
+ * so threads are retried rather than written without meeting info.
  */
-export async function findMeetingsWithAttendee(attendeeEmail, daysBack = 30, daysAhead = 30) {
-  const allMeetings = [];
-
+export async function refreshCalendarIndex() {
   for (const calendarEmail of calendarClients.keys()) {
+    const entry = calendarIndex.get(calendarEmail);
+
     try {
-      const meetings = await findMeetingsWithAttendeeForUser(calendarEmail, attendeeEmail, daysBack, daysAhead);
-      allMeetings.push(...meetings);
+      if (!entry || !entry.syncToken || Date.now() - entry.fullSyncAt > FULL_RESYNC_MS) {
+        await fullSyncCalendar(calendarEmail);
+      } else {
+        await incrementalSyncCalendar(calendarEmail);
+      }
+      indexErrors.delete(calendarEmail);
     } catch (err) {
-      error(`[Calendar] Error finding meetings for ${attendeeEmail} in ${calendarEmail}:`, err.message);
+      error(`[Calendar] Error indexing ${calendarEmail}:`, err.message);
+      indexErrors.set(calendarEmail, err);
     }
   }
-
-  // Deduplicate by event ID (same meeting might appear in both calendars)
-  const uniqueMeetings = [...new Map(allMeetings.map(m => [m.id, m])).values()];
-
-  return uniqueMeetings;
 }
 
 /**
- * Find meetings with a specific attendee for a specific calendar
+ * Get indexed meetings (deduplicated across calendars) with an attendee
+ * matching the filter, or all meetings when there is no filter
  */
-async function findMeetingsWithAttendeeForUser(calendarEmail, attendeeEmail, daysBack = 30, daysAhead = 30) {
-  const calendar = getCalendarClient(calendarEmail);
-
-  const past = new Date();
-  past.setDate(past.getDate() - daysBack);
+async function queryIndex(matchesAttendee, daysBack, daysAhead) {
+  if (calendarIndex.size === 0 && indexErrors.size === 0) {
+    await refreshCalendarIndex();
+  }
 
-  const future = new Date();
-  future.setDate(future.getDate() + daysAhead);
+  if (indexErrors.size > 0) {
+    const [calendarEmail, err] = [...indexErrors][0];
+    throw new Error(`Calendar ${calendarEmail} could not be read: ${err.message}`);
+  }
 
-  try {
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: past.toISOString(),
-      timeMax: future.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 250,
-      q: attendeeEmail
-    });
+  const now = new Date();
+  const from = new Date(now);
+  from.setDate(from.getDate() - daysBack);
+  const to = new Date(now);
+  to.setDate(to.getDate() + daysAhead);
 
-    const events = response.data.items || [];
+  const meetings = new Map();
+  for (const [calendarEmail, { events }] of calendarIndex) {
+    for (const event of events.values()) {
+      if (meetings.has(event.id)) continue;
+      if (matchesAttendee && !(event.attendees || []).some(a => a.email && matchesAttendee(a.email.toLowerCase()))) continue;
 
-    // Filter to only events where this email is an attendee
-    const filtered = events.filter(event => {
-      const attendees = event.attendees || [];
-      return attendees.some(a => a.email?.toLowerCase() === attendeeEmail.toLowerCase());
-    });
+      const start = new Date(event.start?.dateTime || event.start?.date);
+      if (start < from || start > to) continue;
 
-    return filtered.map(event => {
-      const eventStart = new Date(event.start?.dateTime || event.start?.date);
-      const now = new Date();
-      const isPast = eventStart < now;
-
-      // Check if calendar owner needs to respond
-      const ownerAttendee = (event.attendees || []).find(
-        a => a.email?.toLowerCase() === calendarEmail.toLowerCase()
-      );
-      const needsResponse = ownerAttendee?.responseStatus === 'needsAction';
-
-      return {
-        id: event.id,
-        title: event.summary || '',
-        description: event.description || '',
-        start: event.start?.dateTime || event.start?.date,
-        end: event.end?.dateTime || event.end?.date,
-        calendarOwner: calendarEmail,
-        isPast,
-        needsResponse,
-        status: event.status,
-        meetLink: event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri || '',
-        calendarLink: event.htmlLink || '',
-        attendees: (event.attendees || []).map(a => ({
-          email: a.email?.toLowerCase(),
-          name: a.displayName || a.email,
-          response: a.responseStatus
-        }))
-      };
-    });
-  } catch (err) {
-    error(`[Calendar] Error finding meetings:`, err.message);
-    return [];
+      meetings.set(event.id, toMeeting(event, calendarEmail, now));
+    }
   }
+
+  return [...meetings.values()].sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Find meetings with a specific attendee email across all calendars
+ */
+export async function findMeetingsWithAttendee(attendeeEmail, daysBack = 30, daysAhead = 30) {
+  const target = attendeeEmail.toLowerCase();
+  return queryIndex(email => email === target, daysBack, daysAhead);
 }
 
 /**
@@ -217,64 +268,9 @@ export async function getLastMeetingWithAttendee(attendeeEmail) {
 }
 
 /**
- * Get past meetings from all calendars
+ * Get past meetings from all calendars (from the calendar index)
  */
 export async function getPastMeetings(daysBack = 7) {
-  const allMeetings = [];
-
-  for (const email of calendarClients.keys()) {
-    try {
-      const meetings = await getPastMeetingsForUser(email, daysBack);
-      allMeetings.push(...meetings);
-    } catch (err) {
-      error(`[Calendar] Error fetching past meetings for ${email}:`, err.message);
-    }
-  }
-
-  return allMeetings;
-}
-
-/**
- * Get past meetings for a specific user
- */
-async function getPastMeetingsForUser(email, daysBack = 7) {
-  const calendar = getCalendarClient(email);
-
-  const now = new Date();
-  const past = new Date();
-  past.setDate(past.getDate() - daysBack);
-
-  try {
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: past.toISOString(),
-      timeMax: now.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 100
-    });
-
-    const events = response.data.items || [];
-
-    return events.map(event => ({
-      id: event.id,
-      title: event.summary || '',
-      description: event.description || '',
-      start: event.start?.dateTime || event.start?.date,
-      end: event.end?.dateTime || event.end?.date,
-      calendarOwner: email,
-      attendees: (event.attendees || []).map(a => ({
-        email: a.email?.toLowerCase(),
-        name: a.displayName || a.email,
-        response: a.responseStatus
-      })),
-      meetLink: event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri || '',
-      calendarLink: event.htmlLink || '',
-      location: event.location || '',
-      status: event.status
-    }));
-  } catch (err) {
-    error(`[Calendar] Error fetching past events for ${email}:`, err.message);
-    throw err;
-  }
+  const meetings = await queryIndex(null, daysBack, 0);
+  return meetings.filter(m => m.isPast);
 }
@@ -1,5 +1,13 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { error } from '../utils/logger.js';
+import { warn } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { getTeam, describeTeam, getWithOptions } from './team.js';
+import { getStages } from './stages.js';
+import { COMMITMENT_STATUSES, LEAD_STATUSES } from './round.js';
+import { MEETING_STATUSES } from './fields.js';
+import { formatFieldValue, formatInstant } from './field-types.js';
+import { isResearchField } from './schema.js';
+import { validateSchema } from '../utils/validate.js';
 
 let client = null;
 
@@ -17,18 +25,118 @@ function getModel() {
  * Initialize Claude API client
  */
 export function initClaude(apiKey) {
-  client = new Anthropic({ apiKey });
+  client = new Anthropic({ apiKey, maxRetries: 0 });
   return client;
 }
 
+// Per-message body limit when a whole thread is sent for analysis
+const MAX_THREAD_BODY_CHARS = 4000;
+
+const WEB_SEARCH_TOOL = { type: 'web_search_20250305', name: 'web_search' };
+
+// Structured output for analyzeThread (stages come from config/crm.json)
+function getAnalysisTool() {
+  return {
+    name: 'record_crm_analysis',
+    description: 'Record the CRM analysis of the email or thread.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        investorName: { type: ['string', 'null'], description: 'Name of the EXTERNAL investor' },
+        company: { type: ['string', 'null'], description: 'Their VC firm or fund' },
+        meetingStatus: { type: ['string', 'null'], enum: [...MEETING_STATUSES, null] },
+        meetingDate: { type: ['string', 'null'], format: 'date', description: 'YYYY-MM-DD, or null if no meeting date' },
+        stage: { type: ['string', 'null'], enum: [...getStages(), null], description: 'Deal stage the conversation has reached, or null if unclear' },
+        checkSize: { type: ['number', 'null'], description: 'Their typical check size as a plain number (500000), or null' },
+        commitmentAmount: { type: ['number', 'null'], description: 'Amount they committed or soft-circled in our round as a plain number, or null' },
+        commitmentStatus: { type: ['string', 'null'], enum: [...COMMITMENT_STATUSES, null] },
+        leadStatus: { type: ['string', 'null'], enum: [...LEAD_STATUSES, null] },
+        terms: { type: ['string', 'null'], description: 'Valuation or terms mentioned, e.g. "$20M post, 1x non-participating", or null' },
+        noteSummary: { type: 'string', description: 'Plain bullet points, each starting with "-"' },
+        isVCInvestor: { type: 'boolean' },
+        isRelevant: { type: 'boolean' }
+      },
+      required: ['investorName', 'company', 'meetingStatus', 'meetingDate', 'stage', 'checkSize', 'commitmentAmount', 'commitmentStatus', 'leadStatus', 'terms', 'noteSummary', 'isVCInvestor', 'isRelevant']
+    }
+  };
+}
+
 /**
- * Analyze an email and extract investor CRM information
+ * Call Claude and get its answer as the input of a declared tool, validated
+ * against the tool's schema. Invalid output gets one retry with the
+ * validation errors fed back; after that the reason is thrown.
+ *
+ * With extra tools (web search) Claude may use those first, so the output
+ * tool can't be forced on the first attempt - it is asked for in the prompt,
+ * and forced on the retry.
  */
-export async function analyzeEmail(email, existingInvestor = null) {
+async function callWithTool({ prompt, tool, maxTokens = 1024, extraTools = [] }) {
   if (!client) {
     throw new Error('Claude client not initialized. Call initClaude first.');
   }
 
+  const messages = [{ role: 'user', content: prompt }];
+  const forceTool = { type: 'tool', name: tool.name };
+  let lastProblem = null;
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const response = await withRetry('claude', 'messages.create', () => client.messages.create({
+      model: getModel(),
+      max_tokens: maxTokens,
+      tools: [...extraTools, tool],
+      tool_choice: attempt === 1 && extraTools.length > 0 ? { type: 'auto' } : forceTool,
+      messages
+    }));
+
+    const toolUse = response.content.find(b => b.type === 'tool_use' && b.name === tool.name);
+
+    if (!toolUse) {
+      lastProblem = `no ${tool.name} call in response (stop reason: ${response.stop_reason})`;
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({ role: 'user', content: `You must call the ${tool.name} tool with your answer.` });
+    } else {
+      const errors = validateSchema(toolUse.input, tool.input_schema);
+      if (errors.length === 0) {
+        return toolUse.input;
+      }
+
+      lastProblem = `invalid ${tool.name} output: ${errors.join('; ')}`;
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `Validation failed: ${errors.join('; ')}. Call ${tool.name} again with corrected values.`
+        }]
+      });
+    }
+
+    if (attempt === 1) {
+      warn(`[Claude] ${lastProblem} - retrying`);
+    }
+  }
+
+  throw new Error(lastProblem);
+}
+
+/**
+ * Analyze an email and extract investor CRM information
+ */
+export async function analyzeEmail(email, existingInvestor = null, knownFirm = null) {
+  return analyzeThread([email], existingInvestor, knownFirm);
+}
+
+/**
+ * Analyze a whole email thread (oldest message first) and extract investor CRM information
+ * knownFirm is the firm a new sender's email domain already belongs to, if any
+ */
+export async function analyzeThread(emails, existingInvestor = null, knownFirm = null) {
+  const newContext = knownFirm
+    ? `This is a NEW contact, but their email domain belongs to ${knownFirm.name}, a firm already in our CRM. Use company = "${knownFirm.name}" - they count as attached to a known VC firm.`
+    : '';
+
   const existingContext = existingInvestor
     ? `
 EXISTING INVESTOR DATA:
@@ -36,41 +144,53 @@ EXISTING INVESTOR DATA:
 - Company: ${existingInvestor.company}
 - Current Meeting Status: ${existingInvestor.meetingStatus}
 - Current Meeting Date: ${existingInvestor.meetingDate}
+- Current Stage: ${existingInvestor.stage || 'not set'}
+- Current Commitment: ${existingInvestor.commitmentAmount ? `${formatFieldValue('commitmentAmount', existingInvestor.commitmentAmount)} (${existingInvestor.commitmentStatus || 'Soft-circled'})` : 'none'}
 - Existing Notes: ${existingInvestor.notes}
 `
-    : 'This is a NEW investor not currently in our CRM.';
-
-  const prompt = `You are helping manage an investor CRM for Zealot Labs (a startup). Analyze this email.
+    : newContext || 'This is a NEW investor not currently in our CRM.';
 
-EMAIL:
+  const conversation = emails.map((email, i) => `--- MESSAGE ${i + 1} of ${emails.length} ---
 - From: ${email.fromName} <${email.from}>
 - To: ${email.to}
 - Subject: ${email.subject}
-- Date: ${email.date}
+- Date: ${formatInstant(email.date)}
 
-BODY:
-${email.body}
+${(email.body || '').substring(0, MAX_THREAD_BODY_CHARS)}`).join('\n\n');
+
+  const threadGuidance = emails.length > 1
+    ? `\nThis is a full email thread, oldest message first. Base meetingStatus, meetingDate and noteSummary on what was actually agreed across the whole conversation; later messages take precedence over earlier ones.\n`
+    : '';
+
+  const { companyName, internalDomains } = getTeam();
+  const internalDomainList = internalDomains.map(d => `@${d}`).join(', ');
+  const internalRule = internalDomainList ? ` or ${internalDomainList}` : '';
+  const analysisTool = getAnalysisTool();
+
+  const prompt = `You are helping manage an investor CRM for ${companyName} (a startup). Analyze this ${emails.length > 1 ? 'email thread' : 'email'}.
+Our team: ${describeTeam()}.
+${threadGuidance}
+${emails.length > 1 ? 'THREAD' : 'EMAIL'}:
+${conversation}
 
 ${existingContext}
 
 CRITICAL RULES:
 1. ONLY track EXTERNAL investors from VC firms, funds, or angel investors
-2. NEVER track anyone from Zealot Labs or @zealotlabs.com (these are internal)
+2. NEVER track anyone from ${companyName}${internalRule} (these are internal)
 3. NEVER track service providers, lawyers, contractors, employees, friends
 4. If you cannot identify their VC FIRM NAME, set isVCInvestor=false
 5. Internal team communication = isRelevant=false, isVCInvestor=false
 6. The person MUST be attachable to a known VC firm or fund
 
-Return JSON:
-{
-  "investorName": "Name of the EXTERNAL investor (not Zealot employee)",
-  "company": "Their VC firm or fund",
-  "meetingStatus": "Scheduled | Completed | Follow-up",
-  "meetingDate": "YYYY-MM-DD or null",
-  "noteSummary": "- point 1\n- point 2\n- point 3",
-  "isVCInvestor": true/false,
-  "isRelevant": true/false
-}
+Record your analysis with the ${analysisTool.name} tool:
+- investorName: Name of the EXTERNAL investor (not ${companyName} employee)
+- company: Their VC firm or fund
+- meetingStatus: ${MEETING_STATUSES.join(' | ')} (or null)
+- meetingDate: YYYY-MM-DD or null
+- stage: ${getStages().join(' | ')} (or null) - the furthest deal stage the conversation shows we've reached
+- checkSize, commitmentAmount, commitmentStatus, leadStatus, terms as described below
+- noteSummary, isVCInvestor, isRelevant as described below
 
 FOR noteSummary:
 - Just plain bullet points starting with "-"
@@ -86,34 +206,23 @@ FOR noteSummary:
   - Status: Warm lead, awaiting data
 
 Set isVCInvestor=false and isRelevant=false if:
-- Person is from Zealot Labs
+- Person is from ${companyName}
 - Person is not a VC/investor
 - Email is automated/DocuSign/newsletter
 
-JSON only, no other text.`;
+FOR stage:
+- Stages run in this order: ${getStages().join(' -> ')}
+- Only set a stage the emails clearly show (e.g. a term sheet was sent = Term Sheet, they declined = Passed)
+- Never move an existing investor back to an earlier stage; use null if nothing has changed
 
-  const response = await client.messages.create({
-    model: getModel(),
-    max_tokens: 1024,
-    messages: [{ role: 'user', content: prompt }]
-  });
+FOR the round fields (null unless the emails state them):
+- checkSize: their usual check size, as a plain number in dollars (e.g. 500000 for "$500K")
+- commitmentAmount: what they are putting into OUR round, as a plain number in dollars
+- commitmentStatus: Committed only for a firm commitment (signed, "we're in for $X"); Soft-circled for indicated interest ("likely $250K")
+- leadStatus: Lead if they are leading or pricing the round, Follow if they are following another lead
+- terms: valuation, cap, discount or other terms mentioned, in a few words`;
 
-  const content = response.content[0].text;
-
-  try {
-    // Extract JSON from response (handle potential markdown code blocks)
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      error('[Claude] No JSON found in response:', content);
-      return null;
-    }
-
-    const parsed = JSON.parse(jsonMatch[0]);
-    return parsed;
-  } catch (err) {
-    error('[Claude] Failed to parse response:', content);
-    return null;
-  }
+  return callWithTool({ prompt, tool: analysisTool });
 }
 
 /**
@@ -125,7 +234,7 @@ export async function summarizeEmailThread(emails) {
   }
 
   const emailSummaries = emails.map(e => `
-[${e.date}] ${e.isIncoming ? 'FROM' : 'TO'} investor
+[${formatInstant(e.date)}] ${e.isIncoming ? 'FROM' : 'TO'} investor
 Subject: ${e.subject}
 Content: ${e.body.substring(0, 500)}...
 `).join('\n---\n');
@@ -141,11 +250,11 @@ Example:
 - They're interested in Series A
 - Follow-up scheduled for next week`;
 
-  const response = await client.messages.create({
+  const response = await withRetry('claude', 'messages.create', () => client.messages.create({
     model: getModel(),
     max_tokens: 256,
     messages: [{ role: 'user', content: prompt }]
-  });
+  }));
 
   return response.content[0].text;
 }
@@ -154,20 +263,28 @@ Example:
  * Research an investor to fill empty columns (with web search)
  */
 export async function researchInvestor(investor, emptyFields) {
-  if (!client) {
-    throw new Error('Claude client not initialized');
+  const refused = emptyFields.filter(field => !isResearchField(field));
+  if (refused.length > 0) {
+    throw new Error(`Not researchable (maintained by the agent): ${refused.join(', ')}`);
   }
 
-  // Build example output dynamically based on actual fields
-  const exampleFields = emptyFields.slice(0, 6).map(f => {
+  // Describe each field dynamically based on the actual columns
+  const properties = Object.fromEntries(emptyFields.map(f => {
     const fl = f.toLowerCase();
-    if (fl === 'company' || fl === 'firm' || fl === 'fund') return `"${f}": "Their VC firm name"`;
-    if (fl === 'location' || fl === 'city' || fl === 'hq') return `"${f}": "City, State"`;
-    if (fl === 'about' || fl === 'bio') return `"${f}": "Brief 1-2 sentence bio"`;
-    if (fl === 'notes') return `"${f}": "- Point 1\\n- Point 2\\n- Point 3"`;
-    if (fl.includes('partner')) return `"${f}": "Partner names at the firm"`;
-    return `"${f}": "relevant value for ${f}"`;
-  }).join(',\n  ');
+    let description = `Relevant value for ${f}`;
+    if (fl === 'company' || fl === 'firm' || fl === 'fund') description = 'Their VC firm name';
+    else if (fl === 'location' || fl === 'city' || fl === 'hq') description = 'City, State';
+    else if (fl === 'about' || fl === 'bio') description = 'Brief 1-2 sentence bio';
+    else if (fl === 'notes') description = 'Bullet points, each starting with "-"';
+    else if (fl.includes('partner')) description = 'Partner names at the firm';
+    return [f, { type: 'string', description }];
+  }));
+
+  const tool = {
+    name: 'record_investor_research',
+    description: 'Record the CRM fields you could verify. Omit fields you could not find.',
+    input_schema: { type: 'object', properties }
+  };
 
   const prompt = `Research this investor to fill in missing CRM data.
 
@@ -189,50 +306,36 @@ IMPORTANT RULES:
 - ANY other field: Research and fill with relevant info
 - Only include fields you can VERIFY
 
-Return JSON with the fields you found:
-{
-  ${exampleFields}
-}
-
-JSON only, no other text.`;
-
-  const response = await client.messages.create({
-    model: getModel(),
-    max_tokens: 1024,
-    tools: [{ type: 'web_search_20250305' }],
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  // Extract text from response (may have tool use blocks)
-  const textBlock = response.content.find(b => b.type === 'text');
-  if (!textBlock) return null;
+When done researching, record the fields you found with the ${tool.name} tool.`;
 
-  try {
-    const jsonMatch = textBlock.text.match(/\{[\s\S]*\}/);
-    return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-  } catch {
-    return null;
-  }
+  return callWithTool({ prompt, tool, extraTools: [WEB_SEARCH_TOOL] });
 }
 
 /**
  * Redo specific columns for an investor (with web search)
  */
 export async function redoColumnForInvestor(investor, fields, userPrompt) {
-  if (!client) {
-    throw new Error('Claude client not initialized');
-  }
+  const fieldSchemas = {
+    name: { type: 'string', description: 'Full name of the investor' },
+    company: { type: 'string', description: 'Their VC firm or fund name' },
+    meetingStatus: { type: 'string', enum: MEETING_STATUSES },
+    meetingDate: { type: 'string', format: 'date', description: 'Date as YYYY-MM-DD' },
+    stage: { type: 'string', enum: getStages() },
+    notes: { type: 'string', description: 'Bullet points starting with "-"' },
+    with: { type: 'string', enum: getWithOptions() }
+  };
 
-  const fieldDescriptions = {
-    name: 'Full name of the investor',
-    company: 'Their VC firm or fund name',
-    meetingStatus: 'Scheduled | Completed | Follow-up',
-    meetingDate: 'Date in format "11 Jan 2025"',
-    notes: 'Bullet points starting with "-"',
-    with: 'Avi | Yuval | Both'
+  const properties = Object.fromEntries(fields.map(f => [f, fieldSchemas[f] || { type: 'string', description: f }]));
+  const tool = {
+    name: 'record_redone_fields',
+    description: 'Record the redone CRM fields.',
+    input_schema: { type: 'object', properties }
   };
 
-  const fieldsToRedo = fields.map(f => `${f}: ${fieldDescriptions[f] || f}`).join('\n');
+  const fieldsToRedo = fields.map(f => {
+    const schema = properties[f];
+    return `${f}: ${schema.enum ? schema.enum.join(' | ') : schema.description}`;
+  }).join('\n');
 
   const prompt = `Redo these CRM fields for an investor. Use web search if needed.
 
@@ -242,6 +345,7 @@ CURRENT DATA:
 - Company: ${investor.company || 'Unknown'}
 - Meeting Status: ${investor.meetingStatus || 'None'}
 - Meeting Date: ${investor.meetingDate || 'None'}
+- Stage: ${investor.stage || 'None'}
 - Notes: ${investor.notes || 'None'}
 
 FIELDS TO REDO:
@@ -249,25 +353,9 @@ ${fieldsToRedo}
 
 ${userPrompt ? `USER GUIDANCE: ${userPrompt}` : ''}
 
-Return JSON with the updated fields only. For notes, use plain bullet points with "-".
-JSON only, no other text.`;
+Record the updated fields with the ${tool.name} tool. For notes, use plain bullet points with "-".`;
 
-  const response = await client.messages.create({
-    model: getModel(),
-    max_tokens: 1024,
-    tools: [{ type: 'web_search_20250305' }],
-    messages: [{ role: 'user', content: prompt }]
-  });
-
-  const textBlock = response.content.find(b => b.type === 'text');
-  if (!textBlock) return null;
-
-  try {
-    const jsonMatch = textBlock.text.match(/\{[\s\S]*\}/);
-    return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-  } catch {
-    return null;
-  }
+  return callWithTool({ prompt, tool, extraTools: [WEB_SEARCH_TOOL] });
 }
 
 /**
@@ -297,12 +385,12 @@ Use web search freely to:
 
 Provide a helpful, detailed answer. Include specific names and facts from the CRM and web.`;
 
-  const response = await client.messages.create({
+  const response = await withRetry('claude', 'messages.create', () => client.messages.create({
     model: getModel(),
     max_tokens: 2048,
-    tools: [{ type: 'web_search_20250305' }],
+    tools: [WEB_SEARCH_TOOL],
     messages: [{ role: 'user', content: prompt }]
-  });
+  }));
 
   // Collect all text blocks from the response
   const textBlocks = response.content.filter(b => b.type === 'text');
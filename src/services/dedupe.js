@@ -0,0 +1,190 @@
+import { getInvestorEmails } from './store.js';
+import { getFirmDomain } from './firms.js';
+import { canTransition } from './stages.js';
+import { dateValueToDate } from './field-types.js';
+
+// Pairs scoring at least this much are shown as likely duplicates
+export const DEFAULT_MIN_SCORE = 50;
+
+// Row fields that describe the current meeting; they move together on a merge
+const MEETING_ROW_FIELDS = ['meetingStatus', 'meetingDate', 'meetingTime', 'localTime', 'with', 'calendarLink', 'meetLink', 'needsResponse'];
+
+// Fields a merge works out itself rather than filling from the other record
+const MERGED_FIELDS = new Set(['recordId', 'email', 'alternateEmails', 'notes', 'lastContact', 'stage', 'stageChangedAt', 'commitmentStatus', 'commitmentAmount', ...MEETING_ROW_FIELDS]);
+
+const isEmpty = value => (value ?? '') === '';
+
+function nameParts(name) {
+  return (name || '').toLowerCase().split(/\s+/).map(part => part.replace(/[^a-z]/g, '')).filter(Boolean);
+}
+
+function companyKey(company) {
+  return (company || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether two first names can be the same person: equal, an initial, or one
+ * a short form of the other ("Jon" / "Jonathan")
+ */
+function firstNamesMatch(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length === 1 ? long.startsWith(short) : short.length >= 3 && long.startsWith(short);
+}
+
+/**
+ * Whether an address spells out a person's name ("jsmith@", "john.smith@",
+ * "smithj@")
+ */
+function emailNamesPerson(emails, parts) {
+  if (parts.length < 2) return false;
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const forms = [first + last, first[0] + last, last + first, last + first[0], first + last[0]];
+
+  return emails.some(email => forms.includes(email.split('@')[0].replace(/[^a-z]/g, '')));
+}
+
+/**
+ * Score how likely two CRM records are the same person
+ *
+ * Evidence adds up: a shared address; the same or a compatible name (or,
+ * failing that, an address that spells out the other record's name); the
+ * same firm; the same firm domain. Two different firms count against, so
+ * two John Smiths at different funds aren't merged. Returns { score, reasons }.
+ */
+export function scorePair(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const emailsA = getInvestorEmails(a);
+  const emailsB = getInvestorEmails(b);
+  if (emailsA.some(email => emailsB.includes(email))) {
+    score += 100;
+    reasons.push('same email');
+  }
+
+  const namesA = nameParts(a.name);
+  const namesB = nameParts(b.name);
+  if (namesA.length >= 2 && namesA.join(' ') === namesB.join(' ')) {
+    score += 60;
+    reasons.push('same name');
+  } else if (namesA.length >= 2 && namesB.length >= 2 &&
+    namesA[namesA.length - 1] === namesB[namesB.length - 1] && firstNamesMatch(namesA[0], namesB[0])) {
+    score += 40;
+    reasons.push('similar name');
+  } else if (emailNamesPerson(emailsA, namesB) || emailNamesPerson(emailsB, namesA)) {
+    score += 30;
+    reasons.push('email matches name');
+  }
+
+  const sameFirm = (a.firmId && a.firmId === b.firmId) || (companyKey(a.company) && companyKey(a.company) === companyKey(b.company));
+  if (sameFirm) {
+    score += 25;
+    reasons.push('same firm');
+  } else if (companyKey(a.company) && companyKey(b.company)) {
+    score -= 40;
+    reasons.push('different firms');
+  }
+
+  const domainsA = emailsA.map(getFirmDomain).filter(Boolean);
+  if (emailsB.map(getFirmDomain).some(domain => domain && domainsA.includes(domain))) {
+    score += 15;
+    reasons.push('same domain');
+  }
+
+  return { score, reasons };
+}
+
+function filledFieldCount(investor) {
+  return Object.entries(investor).filter(([field, value]) => field !== 'rowIndex' && !field.startsWith('_') && !isEmpty(value)).length;
+}
+
+/**
+ * Find likely duplicate pairs, best first
+ * Each pair is { keep, merge, score, reasons }: keep is the fuller record
+ * (the earlier row on a tie), merge the one that would be folded into it.
+ */
+export function findDuplicates(investors, minScore = DEFAULT_MIN_SCORE) {
+  const pairs = [];
+
+  for (let i = 0; i < investors.length; i++) {
+    for (let j = i + 1; j < investors.length; j++) {
+      const { score, reasons } = scorePair(investors[i], investors[j]);
+      if (score < minScore) continue;
+
+      const [keep, merge] = filledFieldCount(investors[j]) > filledFieldCount(investors[i])
+        ? [investors[j], investors[i]]
+        : [investors[i], investors[j]];
+      pairs.push({ keep, merge, score, reasons });
+    }
+  }
+
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build the updates that fold `merge` into `keep`
+ *
+ * - Empty fields are filled from the other record
+ * - Meeting fields come from whichever record has the later meeting date
+ * - Last contact is the later of the two; the stage moves forward if the
+ *   stage rules allow it; a commitment keeps Committed over Soft-circled
+ * - Notes are combined, and the other record's addresses are kept as
+ *   alternate emails so future mail and invites find the merged record
+ */
+export function buildMerge(keep, merge) {
+  const merged = {};
+
+  for (const [field, value] of Object.entries(merge)) {
+    if (field === 'rowIndex' || field.startsWith('_') || MERGED_FIELDS.has(field)) continue;
+    if (isEmpty(keep[field]) && !isEmpty(value)) merged[field] = value;
+  }
+
+  const keepMeeting = dateValueToDate(keep.meetingDate);
+  const mergeMeeting = dateValueToDate(merge.meetingDate);
+  if (mergeMeeting && (!keepMeeting || mergeMeeting > keepMeeting)) {
+    for (const field of MEETING_ROW_FIELDS) {
+      if (field in merge) merged[field] = merge[field];
+    }
+  } else if (!keepMeeting && isEmpty(keep.meetingStatus) && !isEmpty(merge.meetingStatus)) {
+    merged.meetingStatus = merge.meetingStatus;
+  }
+
+  const keepContact = dateValueToDate(keep.lastContact);
+  const mergeContact = dateValueToDate(merge.lastContact);
+  if (mergeContact && (!keepContact || mergeContact > keepContact)) {
+    merged.lastContact = merge.lastContact;
+  }
+
+  if (!isEmpty(merge.stage) && canTransition(keep.stage, merge.stage)) {
+    merged.stage = merge.stage;
+    merged.stageChangedAt = merge.stageChangedAt || keep.stageChangedAt || '';
+  }
+
+  if (merge.commitmentStatus === 'Committed' && keep.commitmentStatus !== 'Committed') {
+    merged.commitmentStatus = merge.commitmentStatus;
+    merged.commitmentAmount = merge.commitmentAmount;
+  } else {
+    if (isEmpty(keep.commitmentStatus) && !isEmpty(merge.commitmentStatus)) merged.commitmentStatus = merge.commitmentStatus;
+    if (isEmpty(keep.commitmentAmount) && !isEmpty(merge.commitmentAmount)) merged.commitmentAmount = merge.commitmentAmount;
+  }
+
+  const keepNotes = keep.notes || '';
+  const mergeNotes = merge.notes || '';
+  if (mergeNotes && !keepNotes.includes(mergeNotes)) {
+    merged.notes = keepNotes ? `${keepNotes}\n\n${mergeNotes}` : mergeNotes;
+  }
+
+  const primary = (keep.email || '').toLowerCase();
+  const alternates = [...new Set([...getInvestorEmails(keep), ...getInvestorEmails(merge)])]
+    .filter(email => email !== primary);
+  if (isEmpty(keep.email) && alternates.length > 0) {
+    merged.email = alternates.shift();
+  }
+  merged.alternateEmails = alternates.join(', ');
+
+  // Only what actually changes
+  return Object.fromEntries(Object.entries(merged).filter(([field, value]) => (keep[field] ?? '') !== (value ?? '')));
+}
@@ -0,0 +1,125 @@
+import { randomUUID } from 'crypto';
+import { recordChange } from './plan.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Wrap a CRM store backend so writes are recorded into the change plan instead
+ * of applied. Reads come from an in-memory snapshot that the planned changes
+ * are applied to, so later steps of the pipeline see earlier ones.
+ */
+export function createDryRunStore(backend) {
+  let snapshot = null;
+
+  const getSnapshot = async () => {
+    if (!snapshot) {
+      snapshot = (await backend.getInvestors()).map(inv => ({
+        ...inv,
+        // Rows that don't have an ID yet still need a key for the plan
+        recordId: inv.recordId || `row-${inv.rowIndex}`
+      }));
+    }
+    return snapshot;
+  };
+
+  const findRecord = async (investor) => {
+    const investors = await getSnapshot();
+    const record = investors.find(r => r.recordId === (investor.recordId || `row-${investor.rowIndex}`));
+    if (!record) {
+      throw new Error(`Record ${investor.recordId} (${investor.name || investor.email}) not found`);
+    }
+    return record;
+  };
+
+  return {
+    name: `${backend.name} (dry run)`,
+    init: backend.init,
+    ensure: () => backend.ensure({ readOnly: true }),
+    getFields: backend.getFields,
+    hasField: backend.hasField,
+
+    getInvestors: async () => (await getSnapshot()).map(inv => ({ ...inv })),
+
+    addInvestor: async (investor) => {
+      const investors = await getSnapshot();
+      const record = { ...investor, recordId: investor.recordId || randomUUID() };
+      investors.push({ ...record, rowIndex: investors.length + 2 });
+
+      recordChange({ type: 'add', recordId: record.recordId, name: investor.name || investor.email, values: record });
+      log(`[DryRun] Would add investor: ${investor.name || investor.email}`);
+      return record;
+    },
+
+    updateInvestor: async (investor, updates) => {
+      const record = await findRecord(investor);
+      const changes = {};
+
+      // Like the backend, fields it doesn't store (no sheet column) aren't written
+      const written = Object.keys(updates).filter(field => field !== 'recordId' && backend.hasField(field));
+      for (const field of written) {
+        const value = updates[field];
+        if ((record[field] ?? '') !== value) {
+          changes[field] = { from: record[field] ?? '', to: value };
+          record[field] = value;
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        recordChange({ type: 'update', recordId: record.recordId, name: record.name || record.email, changes });
+        log(`[DryRun] Would update ${record.name || record.email}:`, Object.keys(changes).join(', '));
+      }
+      return written;
+    },
+
+    remove: async (investor) => {
+      const investors = await getSnapshot();
+      const record = await findRecord(investor);
+      investors.splice(investors.indexOf(record), 1);
+
+      recordChange({ type: 'remove', recordId: record.recordId, name: record.name || record.email });
+      log(`[DryRun] Would remove ${record.name || record.email}`);
+    },
+
+    sort: async () => {
+      recordChange({ type: 'sort' });
+      log('[DryRun] Would sort by date, time, and company');
+    },
+
+    clear: async () => {
+      const investors = await getSnapshot();
+      recordChange({ type: 'clear', count: investors.length });
+      log(`[DryRun] Would clear ${investors.length} investor(s)`);
+      snapshot = [];
+    },
+
+    refreshFormatting: async () => {
+      if (!backend.getRowColor) return;
+
+      const today = new Date();
+      const colors = {};
+      for (const inv of await getSnapshot()) {
+        colors[inv.name || inv.email] = backend.getRowColor(inv, today);
+      }
+
+      recordChange({ type: 'color', colors });
+      log('[DryRun] Would recolor rows');
+    },
+
+    // Nothing is written, so there is nothing to audit
+    appendAudit: async () => {},
+    readAudit: backend.readAudit,
+
+    getMeetings: backend.getMeetings,
+
+    upsertMeetings: async (records) => {
+      recordChange({ type: 'meetings', meetings: records.map(r => ({ investor: r.investor, title: r.title, date: r.date, outcome: r.outcome })) });
+      log(`[DryRun] Would record ${records.length} meeting(s)`);
+    },
+
+    getFirms: backend.getFirms,
+
+    upsertFirms: async (records) => {
+      recordChange({ type: 'firms', firms: records.map(f => ({ name: f.name, contacts: f.contacts, stage: f.stage })) });
+      log(`[DryRun] Would record ${records.length} firm(s)`);
+    }
+  };
+}
@@ -0,0 +1,373 @@
+import { getSettings } from './settings.js';
+import { getSchemaField } from './schema.js';
+import { parseAmount } from '../utils/money.js';
+import { getSystemTimeZone, getTimeZoneAbbreviation } from '../utils/time-zones.js';
+
+/**
+ * Typed CRM values
+ *
+ * Every CRM cell is parsed into a typed value on read and formatted back on
+ * write, by its schema type. In memory (sorting, row colors, firm roll-ups,
+ * Claude prompts) values are:
+ *   date       "2025-01-11"  (ISO, no time)
+ *   time       "14:30"       (24-hour)
+ *   boolean    true / false
+ *   currency   1500000       (number)
+ *   other      string
+ * Empty cells are "". A cell that doesn't parse as its type is kept as text,
+ * so nothing typed by hand is lost. Display formats (settings.formats) only
+ * apply to what is written to the sheet.
+ *
+ * Instants (calendar event starts, email dates) become dates and times in the
+ * CRM timezone - see getTimeZone.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Date layouts accepted on read besides ISO and the configured display format
+const DATE_LAYOUTS = ['D MMM YYYY', 'D MMMM YYYY', 'MMM D, YYYY', 'MMMM D, YYYY', 'MMM D YYYY'];
+
+// Google Sheets serial numbers count days from 30 Dec 1899
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRUE_WORDS = ['yes', 'y', 'true', '1', 'x'];
+const FALSE_WORDS = ['no', 'n', 'false', '0'];
+
+const pad = n => String(n).padStart(2, '0');
+
+// Timezone of the spreadsheet (its File > Settings), once read
+let sheetTimeZone = null;
+
+/**
+ * Record the spreadsheet's own timezone, the fallback CRM timezone
+ */
+export function setSheetTimeZone(timeZone) {
+  sheetTimeZone = timeZone || null;
+}
+
+/**
+ * The CRM timezone that dates and times are written in: settings.timeZone,
+ * else the spreadsheet's timezone, else the server's
+ */
+export function getTimeZone() {
+  return getSettings().timeZone || sheetTimeZone || getSystemTimeZone();
+}
+
+/**
+ * Schema type of a CRM field ("text" for custom columns)
+ */
+export function getFieldType(field) {
+  return getSchemaField(field)?.type || 'text';
+}
+
+/**
+ * Year, month, day, hour and minute of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function toIsoDate(year, month, day) {
+  return isValidDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+}
+
+/**
+ * Calendar date ("2025-01-11") of a Date, a date-time string or a plain
+ * date, in a timezone (the CRM's by default). A plain date is already a
+ * calendar date and is returned as is.
+ */
+export function toDateValue(value, timeZone = getTimeZone()) {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Time of day ("14:30") of a Date or date-time string, in a timezone (the
+ * CRM's by default). A plain date (an all-day event) has no time and gives ""
+ */
+export function toTimeValue(value, timeZone = getTimeZone()) {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return '';
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * A date value ("2025-01-11") as a local Date at midnight, or null
+ */
+export function dateValueToDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+/**
+ * A time value ("14:30") as minutes since midnight, or null
+ */
+export function timeValueToMinutes(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function monthFromName(name) {
+  const index = MONTHS.findIndex(month => month.toLowerCase() === name.slice(0, 3).toLowerCase());
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Read a date in a layout like "D MMM YYYY" (see formatDate for the tokens)
+ */
+function parseDateLayout(text, layout) {
+  const order = [];
+  const pattern = layout.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, token => {
+    order.push(token);
+    if (token === 'YYYY') return '(\\d{4})';
+    if (token.startsWith('MMM')) return '([A-Za-z]+)\\.?';
+    return '(\\d{1,2})';
+  });
+
+  const match = new RegExp(`^${pattern.replace(/\s+/g, '\\s+')}$`, 'i').exec(text);
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((token, i) => {
+    const value = match[i + 1];
+    if (token === 'YYYY') parts.year = parseInt(value, 10);
+    else if (token.startsWith('MMM')) parts.month = monthFromName(value);
+    else if (token.startsWith('M')) parts.month = parseInt(value, 10);
+    else parts.day = parseInt(value, 10);
+  });
+
+  if (!parts.year || !parts.month || !parts.day) return null;
+  return toIsoDate(parts.year, parts.month, parts.day);
+}
+
+/**
+ * Parse a date cell: a Sheets serial number, ISO ("2025-01-11", or a
+ * date-time, taken in the CRM timezone), the configured display format, or
+ * a written-out date ("11 Jan 2025", "January 11, 2025"). Null if it isn't one.
+ */
+export function parseDate(raw) {
+  if (raw instanceof Date) return toDateValue(raw);
+
+  if (typeof raw === 'number') {
+    const date = new Date(SHEETS_EPOCH + Math.floor(raw) * DAY_MS);
+    return toIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  const text = String(raw).trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/.exec(text);
+  if (iso) {
+    return iso[4] ? toDateValue(text) || null : toIsoDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+  }
+
+  for (const layout of [getSettings().formats.date, ...DATE_LAYOUTS]) {
+    const value = parseDateLayout(text, layout);
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Parse a time cell: a Sheets serial (fraction of a day), "14:30" or
+ * "2:30 PM". Null if it isn't one.
+ */
+export function parseTime(raw) {
+  if (typeof raw === 'number') {
+    const minutes = Math.round((raw - Math.floor(raw)) * 24 * 60) % (24 * 60);
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(String(raw).trim());
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (match[3].toLowerCase().startsWith('p') ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+/**
+ * Parse a boolean cell ("Yes", "TRUE", a checkbox), or null if it isn't one
+ */
+export function parseBoolean(raw) {
+  if (typeof raw === 'boolean') return raw;
+
+  const word = String(raw).trim().toLowerCase();
+  const [yes, no] = getSettings().formats.boolean.map(option => option.toLowerCase());
+  if (word === yes || TRUE_WORDS.includes(word)) return true;
+  if (word === no || FALSE_WORDS.includes(word)) return false;
+  return null;
+}
+
+/**
+ * Parse a raw value into the typed value for a schema type
+ * Accepts what the sheet returns as well as values already typed.
+ */
+export function parseValue(type, raw) {
+  if (raw === null || raw === undefined || raw === '') return '';
+
+  let value = null;
+  switch (type) {
+    case 'date': value = parseDate(raw); break;
+    case 'time': value = parseTime(raw); break;
+    case 'boolean': value = parseBoolean(raw); break;
+    case 'currency': value = parseAmount(raw); break;
+  }
+
+  return value ?? String(raw);
+}
+
+/**
+ * Format a date value with a display format
+ * Tokens: YYYY, MMMM (January), MMM (Jan), MM (01), M (1), DD (09), D (9)
+ */
+export function formatDate(value, format = getSettings().formats.date) {
+  const date = dateValueToDate(value);
+  if (!date) return value;
+
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MMMM: MONTH_NAMES[date.getMonth()],
+    MMM: MONTHS[date.getMonth()],
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate()
+  };
+  return format.replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, token => tokens[token]);
+}
+
+/**
+ * Format a time value with a display format
+ * Tokens: HH (14), H (14), hh (02), h (2), mm (30), A (PM), a (pm)
+ */
+export function formatTime(value, format = getSettings().formats.time) {
+  const minutes = timeValueToMinutes(value);
+  if (minutes === null) return value;
+
+  const hours = Math.floor(minutes / 60);
+  const tokens = {
+    HH: pad(hours),
+    H: hours,
+    hh: pad(hours % 12 || 12),
+    h: hours % 12 || 12,
+    mm: pad(minutes % 60),
+    A: hours >= 12 ? 'PM' : 'AM',
+    a: hours >= 12 ? 'pm' : 'am'
+  };
+  return format.replace(/HH|H|hh|h|mm|A|a/g, token => tokens[token]);
+}
+
+/**
+ * Format an instant (an email's date) in a timezone, for logs and prompts:
+ * "11 Jan 2025 6:00 PM PST"
+ */
+export function formatInstant(value, timeZone = getTimeZone()) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value || '');
+
+  const day = formatDate(toDateValue(date, timeZone));
+  const time = formatTime(toTimeValue(date, timeZone));
+  return `${day} ${time} ${getTimeZoneAbbreviation(date, timeZone)}`;
+}
+
+/**
+ * Format a value of a schema type for display / writing to the sheet
+ */
+export function formatValue(type, value) {
+  const typed = parseValue(type, value);
+  if (typed === '') return '';
+
+  const { formats, round } = getSettings();
+  switch (type) {
+    case 'date': return formatDate(typed);
+    case 'time': return formatTime(typed);
+    case 'boolean': return typeof typed === 'boolean' ? formats.boolean[typed ? 0 : 1] : typed;
+    case 'currency': return typeof typed === 'number' ? `${round.currency}${typed.toLocaleString('en-US')}` : typed;
+    default: return typed;
+  }
+}
+
+/**
+ * Typed value of a CRM field (see parseValue)
+ */
+export function parseFieldValue(field, raw) {
+  const value = parseValue(getFieldType(field), raw);
+  return field === 'email' && typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * Display value of a CRM field (see formatValue)
+ */
+export function formatFieldValue(field, value) {
+  return formatValue(getFieldType(field), value);
+}
+
+/**
+ * Value to write to a sheet cell for a CRM field: amounts stay plain numbers
+ * (the column's currency format displays them) so they read back exactly,
+ * everything else is its display value
+ */
+export function formatCellValue(field, value) {
+  const typed = parseFieldValue(field, value);
+  return getFieldType(field) === 'currency' && typeof typed === 'number' ? typed : formatFieldValue(field, value);
+}
+
+/**
+ * Parse every field of a record into typed values
+ */
+export function parseRecord(record) {
+  const typed = {};
+  for (const [field, value] of Object.entries(record)) {
+    typed[field] = field === 'rowIndex' || field.startsWith('_') ? value : parseFieldValue(field, value);
+  }
+  return typed;
+}
+
+/**
+ * Sheets number format pattern for the display format of a date or time
+ * column ("D MMM YYYY" -> "d mmm yyyy", "h:mm A" -> "h:mm AM/PM")
+ */
+export function getSheetsPattern(type) {
+  const { formats } = getSettings();
+  if (type === 'date') {
+    return formats.date.replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, token => token.toLowerCase());
+  }
+  if (type === 'time') {
+    return formats.time.replace(/HH|H|hh|h|mm|A|a/g, token => (/^[Aa]$/.test(token) ? 'AM/PM' : token.toLowerCase()));
+  }
+  return null;
+}
@@ -0,0 +1,67 @@
+// Meeting statuses the agent sets on investor rows
+export const MEETING_STATUSES = ['Scheduled', 'Completed', 'Follow-up'];
+
+/**
+ * The CRM fields every store understands
+ */
+export const CRM_FIELDS = [
+  'name',
+  'email',
+  'alternateEmails',
+  'company',
+  'location',
+  'about',
+  'meetingStatus',
+  'meetingDate',
+  'meetingTime',
+  'localTime',
+  'lastContact',
+  'notes',
+  'with',
+  'calendarLink',
+  'meetLink',
+  'needsResponse',
+  'stage',
+  'stageChangedAt',
+  'checkSize',
+  'commitmentAmount',
+  'commitmentStatus',
+  'leadStatus',
+  'terms',
+  'firmId',
+  'recordId'
+];
+
+/**
+ * Fields of a meeting history record (Meetings tab / local table)
+ * Keyed by eventId + recordId, since one event can involve several investors
+ */
+export const MEETING_FIELDS = [
+  'eventId',
+  'recordId',
+  'investor',
+  'title',
+  'date',
+  'time',
+  'with',
+  'attendees',
+  'outcome',
+  'calendarLink',
+  'meetLink'
+];
+
+/**
+ * Fields of a firm record (Firms tab / local table), keyed by firmId
+ * Contact rows link to their firm through the investor's firmId field
+ */
+export const FIRM_FIELDS = [
+  'firmId',
+  'name',
+  'domains',
+  'contacts',
+  'stage',
+  'lastContact',
+  'meetings',
+  'lastMeeting',
+  'nextMeeting'
+];
@@ -0,0 +1,198 @@
+import { randomUUID } from 'crypto';
+import { getInvestors, updateInvestor, getFields, getFirms, upsertFirms, getMeetings } from './store.js';
+import { FIRM_FIELDS } from './fields.js';
+import { getSettings } from './settings.js';
+import { isInternalAddress, isPublicDomain } from './team.js';
+import { parseDate, formatDate, toDateValue, dateValueToDate } from './field-types.js';
+import { log } from '../utils/logger.js';
+
+// Per-cycle snapshot of the firms: { byId, byDomain, byName }
+let index = null;
+
+/**
+ * Drop the firm snapshot so the next lookup reads the Firms table again
+ */
+export function resetFirmCache() {
+  index = null;
+}
+
+/**
+ * Domain of an address when it can identify a firm (not free-mail, not ours)
+ */
+export function getFirmDomain(address) {
+  if (!address || isInternalAddress(address)) return null;
+
+  const domain = address.split('@')[1]?.toLowerCase();
+  return domain && !isPublicDomain(domain) ? domain : null;
+}
+
+function nameKey(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getDomains(firm) {
+  return (firm.domains || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+}
+
+function indexFirm(firm) {
+  index.byId.set(firm.firmId, firm);
+  if (nameKey(firm.name) && !index.byName.has(nameKey(firm.name))) index.byName.set(nameKey(firm.name), firm);
+  for (const domain of getDomains(firm)) {
+    if (!index.byDomain.has(domain)) index.byDomain.set(domain, firm);
+  }
+}
+
+async function getFirmIndex() {
+  if (!index) {
+    index = { byId: new Map(), byDomain: new Map(), byName: new Map() };
+    for (const { rowIndex, ...firm } of await getFirms()) {
+      indexFirm(firm);
+    }
+  }
+  return index;
+}
+
+/**
+ * Find the known firm for any of these addresses (by email domain), or null
+ */
+export async function findFirmForAddresses(addresses) {
+  const { byDomain } = await getFirmIndex();
+
+  for (const address of addresses) {
+    const domain = getFirmDomain(address);
+    if (domain && byDomain.has(domain)) return byDomain.get(domain);
+  }
+  return null;
+}
+
+/**
+ * Whether an address is at one of a firm's domains
+ */
+export function isFirmAddress(firm, address) {
+  const domain = getFirmDomain(address);
+  return Boolean(domain) && getDomains(firm).includes(domain);
+}
+
+/**
+ * Firm-level stage: a closed stage at any contact closes the firm (the
+ * earliest closed stage wins, so Committed beats Passed); otherwise the
+ * furthest stage any contact has reached
+ */
+function getFirmStage(contacts) {
+  const { order, closed } = getSettings().stages;
+  const reached = contacts.map(c => c.stage).filter(stage => order.includes(stage));
+
+  const closedStage = order.find(stage => closed.includes(stage) && reached.includes(stage));
+  if (closedStage) return closedStage;
+
+  return reached.sort((a, b) => order.indexOf(b) - order.indexOf(a))[0] || '';
+}
+
+function getLastContact(contacts) {
+  const latest = contacts
+    .map(c => c.lastContact)
+    .filter(date => dateValueToDate(date))
+    .sort()
+    .pop();
+  return latest ? formatDate(latest) : '';
+}
+
+/**
+ * Meeting count and last / next meeting across a firm's contacts
+ * An event several partners attended counts once; declined and cancelled
+ * meetings don't count.
+ */
+function summarizeMeetings(records) {
+  const today = toDateValue(new Date());
+
+  // Date values ("2025-01-11") sort and compare in calendar order as strings
+  const events = new Map();
+  for (const record of records) {
+    if (['Declined', 'Cancelled'].includes(record.outcome)) continue;
+    const date = parseDate(record.date);
+    if (dateValueToDate(date)) events.set(record.eventId, { date, label: record.date });
+  }
+
+  const sorted = [...events.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const past = sorted.filter(e => e.date < today);
+  const upcoming = sorted.filter(e => e.date >= today);
+
+  return {
+    meetings: String(sorted.length),
+    lastMeeting: past.length > 0 ? past[past.length - 1].label : '',
+    nextMeeting: upcoming.length > 0 ? upcoming[0].label : ''
+  };
+}
+
+/**
+ * Link every contact to a firm and roll the firms up
+ *
+ * Contacts are matched to a firm by firmId, then email domain, then company
+ * name; a company with no firm yet gets one. Each firm's contacts, stage,
+ * last contact and meetings are recomputed, and only changed firms are written.
+ * Returns the number of firms written.
+ */
+export async function syncFirms() {
+  const investors = await getInvestors();
+  const canLink = getFields().includes('firmId');
+  const { byId, byDomain, byName } = await getFirmIndex();
+  const contactsByFirm = new Map();
+
+  for (const investor of investors) {
+    const domain = getFirmDomain(investor.email);
+    let firm = byId.get(investor.firmId)
+      || (domain && byDomain.get(domain))
+      || (nameKey(investor.company) && byName.get(nameKey(investor.company)));
+
+    if (!firm) {
+      if (!investor.company) continue;
+      firm = { firmId: randomUUID(), name: investor.company, domains: '' };
+      indexFirm(firm);
+    }
+
+    if (domain && !getDomains(firm).includes(domain)) {
+      firm.domains = [...getDomains(firm), domain].join(', ');
+      indexFirm(firm);
+    }
+
+    const updates = {};
+    if (canLink && investor.firmId !== firm.firmId) updates.firmId = firm.firmId;
+    if (!investor.company) updates.company = firm.name;
+    if (Object.keys(updates).length > 0) {
+      await updateInvestor(investor, updates);
+    }
+
+    if (!contactsByFirm.has(firm.firmId)) contactsByFirm.set(firm.firmId, []);
+    contactsByFirm.get(firm.firmId).push(investor);
+  }
+
+  const meetings = await getMeetings();
+  const changed = [];
+
+  for (const [firmId, contacts] of contactsByFirm) {
+    const firm = byId.get(firmId);
+    const recordIds = new Set(contacts.map(c => c.recordId));
+
+    const rolledUp = {
+      firmId,
+      name: firm.name,
+      domains: firm.domains || '',
+      contacts: contacts.map(c => c.name || c.email).join(', '),
+      stage: getFirmStage(contacts),
+      lastContact: getLastContact(contacts),
+      ...summarizeMeetings(meetings.filter(m => recordIds.has(m.recordId)))
+    };
+
+    if (FIRM_FIELDS.some(field => String(firm[field] ?? '') !== rolledUp[field])) {
+      changed.push(rolledUp);
+      Object.assign(firm, rolledUp);
+    }
+  }
+
+  if (changed.length > 0) {
+    await upsertFirms(changed);
+    log(`[Firms] Updated ${changed.length} firm(s)`);
+  }
+
+  return changed.length;
+}
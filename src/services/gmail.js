@@ -1,9 +1,12 @@
 import { google } from 'googleapis';
 import fs from 'fs';
-import { log, error } from '../utils/logger.js';
+import { log, warn, error } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { getHistoryId, setHistoryId, getLastSyncAt, isMessageProcessed } from './state.js';
+import { isInternalAddress } from './team.js';
 
 let gmailClients = new Map(); // email -> gmail client
-let historyIds = new Map(); // email -> lastHistoryId
+let pendingHistoryIds = new Map(); // email -> { historyId, syncedAt } fetched but not yet committed
 
 /**
  * Initialize Gmail API clients for multiple users using Service Account
@@ -19,7 +22,7 @@ export function initGmail(serviceAccountPath, emails) {
       subject: email // Impersonate this user
     });
 
-    const gmail = google.gmail({ version: 'v1', auth });
+    const gmail = google.gmail({ version: 'v1', auth, retry: false });
     gmailClients.set(email, gmail);
     log(`[Gmail] Initialized client for ${email}`);
   }
@@ -38,53 +41,101 @@ export function getGmailClient(email) {
   return client;
 }
 
+/**
+ * List all message IDs matching a search query (follows paging)
+ */
+async function listMessageIds(client, q, maxResults = null) {
+  let messageIds = [];
+  let pageToken = null;
+
+  do {
+    const response = await withRetry('gmail', 'messages.list', () => client.users.messages.list({
+      userId: 'me',
+      q,
+      maxResults: 100,
+      pageToken
+    }));
+
+    if (response.data.messages) {
+      messageIds = messageIds.concat(response.data.messages.map(m => m.id));
+    }
+
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && (!maxResults || messageIds.length < maxResults));
+
+  return maxResults ? messageIds.slice(0, maxResults) : messageIds;
+}
+
 /**
  * Fetch new emails for a specific user since last check
+ *
+ * The new history ID is only held as pending here; call commitHistoryIds()
+ * once the returned emails have been handled so a restart resumes from the
+ * last fully processed point.
  */
 export async function fetchNewEmailsForUser(email) {
   const client = getGmailClient(email);
-  const lastHistoryId = historyIds.get(email);
+  const lastHistoryId = getHistoryId(email);
+  const syncedAt = Date.now();
 
   // Get profile to check history ID
-  const profile = await client.users.getProfile({ userId: 'me' });
+  const profile = await withRetry('gmail', 'getProfile', () => client.users.getProfile({ userId: 'me' }));
   const currentHistoryId = profile.data.historyId;
 
+  let messageIds;
+
   if (!lastHistoryId) {
     // First run - get recent emails from last 24 hours
     log(`[Gmail] First run for ${email} - fetching recent emails`);
-    const oneDayAgo = Math.floor((Date.now() - 24 * 60 * 60 * 1000) / 1000);
-    const response = await client.users.messages.list({
-      userId: 'me',
-      q: `after:${oneDayAgo}`,
-      maxResults: 50
-    });
-
-    historyIds.set(email, currentHistoryId);
+    const oneDayAgo = Math.floor((syncedAt - 24 * 60 * 60 * 1000) / 1000);
+    messageIds = await listMessageIds(client, `after:${oneDayAgo}`, 50);
+  } else {
+    try {
+      messageIds = await listHistoryMessageIds(client, lastHistoryId);
+    } catch (err) {
+      if (err.code !== 404) throw err;
 
-    if (!response.data.messages) {
-      return [];
+      // History ID expired - fill the gap since the last committed sync
+      const lastSyncAt = getLastSyncAt(email) || syncedAt - 24 * 60 * 60 * 1000;
+      log(`[Gmail] History expired for ${email}, filling gap since ${new Date(lastSyncAt).toISOString()}`);
+      messageIds = await listMessageIds(client, `after:${Math.floor(lastSyncAt / 1000)}`);
     }
+  }
 
-    return await getEmailDetails(client, response.data.messages.map(m => m.id), email);
+  const newIds = messageIds.filter(id => !isMessageProcessed(email, id));
+  if (newIds.length < messageIds.length) {
+    log(`[Gmail] Skipping ${messageIds.length - newIds.length} already processed message(s) for ${email}`);
   }
 
-  // Use history API for incremental updates
-  try {
-    const historyResponse = await client.users.history.list({
-      userId: 'me',
-      startHistoryId: lastHistoryId,
-      historyTypes: ['messageAdded']
-    });
+  const { emails, failedIds } = await getEmailDetails(client, newIds, email);
 
-    historyIds.set(email, currentHistoryId);
+  // A message we couldn't fetch must be listed again next cycle, so the
+  // cursor stays put; the ones fetched now are skipped as processed then
+  if (failedIds.length > 0) {
+    warn(`[Gmail] Could not fetch ${failedIds.length} message(s) for ${email}, keeping the history cursor to retry them next cycle`);
+  } else {
+    pendingHistoryIds.set(email, { historyId: currentHistoryId, syncedAt });
+  }
 
-    if (!historyResponse.data.history) {
-      return [];
-    }
+  return emails;
+}
+
+/**
+ * List IDs of messages added since a history ID (follows paging)
+ */
+async function listHistoryMessageIds(client, startHistoryId) {
+  const messageIds = new Set();
+  let pageToken = null;
 
-    // Extract message IDs from history
-    const messageIds = new Set();
-    for (const history of historyResponse.data.history) {
+  do {
+    const historyResponse = await withRetry('gmail', 'history.list', () => client.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      pageToken
+    }));
+
+    for (const history of historyResponse.data.history || []) {
       if (history.messagesAdded) {
         for (const msg of history.messagesAdded) {
           messageIds.add(msg.message.id);
@@ -92,20 +143,20 @@ export async function fetchNewEmailsForUser(email) {
       }
     }
 
-    if (messageIds.size === 0) {
-      return [];
-    }
+    pageToken = historyResponse.data.nextPageToken;
+  } while (pageToken);
 
-    return await getEmailDetails(client, [...messageIds], email);
-  } catch (err) {
-    if (err.code === 404) {
-      // History ID expired, reset and fetch recent
-      log(`[Gmail] History expired for ${email}, fetching recent emails`);
-      historyIds.delete(email);
-      return await fetchNewEmailsForUser(email);
-    }
-    throw err;
+  return [...messageIds];
+}
+
+/**
+ * Persist the history IDs fetched by the last fetchNewEmails() call
+ */
+export function commitHistoryIds() {
+  for (const [email, { historyId, syncedAt }] of pendingHistoryIds) {
+    setHistoryId(email, historyId, syncedAt);
   }
+  pendingHistoryIds.clear();
 }
 
 /**
@@ -136,27 +187,16 @@ export async function fetchEmailsFromPastDaysForUser(email, days = 7) {
 
   log(`[Gmail] Fetching emails from past ${days} days for ${email}...`);
 
-  let allMessageIds = [];
-  let pageToken = null;
-
-  do {
-    const response = await client.users.messages.list({
-      userId: 'me',
-      q: `after:${daysAgo}`,
-      maxResults: 100,
-      pageToken
-    });
-
-    if (response.data.messages) {
-      allMessageIds = allMessageIds.concat(response.data.messages.map(m => m.id));
-    }
-
-    pageToken = response.data.nextPageToken;
-  } while (pageToken);
+  const allMessageIds = await listMessageIds(client, `after:${daysAgo}`);
 
   log(`[Gmail] Found ${allMessageIds.length} emails for ${email}`);
 
-  return await getEmailDetails(client, allMessageIds, email);
+  const { emails, failedIds } = await getEmailDetails(client, allMessageIds, email);
+  if (failedIds.length > 0) {
+    warn(`[Gmail] Could not fetch ${failedIds.length} message(s) for ${email}`);
+  }
+
+  return emails;
 }
 
 /**
@@ -179,28 +219,43 @@ export async function fetchEmailsFromPastDays(days = 7) {
 
 /**
  * Get full email details for a list of message IDs
+ * Returns { emails, failedIds }: messages that couldn't be fetched (after
+ * retries) are reported so the caller can fetch them again later.
  */
 async function getEmailDetails(client, messageIds, accountEmail) {
   const emails = [];
+  const failedIds = [];
 
   for (const messageId of messageIds) {
+    let message;
     try {
-      const message = await client.users.messages.get({
+      message = await withRetry('gmail', 'messages.get', () => client.users.messages.get({
         userId: 'me',
         id: messageId,
         format: 'full'
-      });
+      }));
+    } catch (err) {
+      if (err.code === 404) {
+        // Deleted since it was listed - nothing left to fetch
+        log(`[Gmail] Message ${messageId} no longer exists, skipping`);
+      } else {
+        error(`[Gmail] Error fetching message ${messageId}:`, err.message);
+        failedIds.push(messageId);
+      }
+      continue;
+    }
 
+    try {
       const parsed = parseEmail(message.data, accountEmail);
       if (parsed) {
         emails.push(parsed);
       }
     } catch (err) {
-      error(`[Gmail] Error fetching message ${messageId}:`, err.message);
+      error(`[Gmail] Error parsing message ${messageId}:`, err.message);
     }
   }
 
-  return emails;
+  return { emails, failedIds };
 }
 
 /**
@@ -216,6 +271,7 @@ function parseEmail(message, accountEmail) {
 
   const from = getHeader('From');
   const to = getHeader('To');
+  const cc = getHeader('Cc');
   const subject = getHeader('Subject');
   const date = getHeader('Date');
 
@@ -238,9 +294,7 @@ function parseEmail(message, accountEmail) {
   body = extractBody(message.payload) || '';
 
   // Parse sender email and name
-  const fromMatch = from?.match(/(?:"?([^"<]*)"?\s*)?<?([^>]+@[^>]+)>?/);
-  const senderName = fromMatch?.[1]?.trim() || fromMatch?.[2]?.split('@')[0] || 'Unknown';
-  const senderEmail = fromMatch?.[2]?.trim()?.toLowerCase() || from?.toLowerCase();
+  const { name: senderName, email: senderEmail } = parseEmailAddress(from);
 
   // Determine if this is incoming or outgoing based on the account it came from
   const isIncoming = senderEmail !== accountEmail.toLowerCase();
@@ -251,6 +305,8 @@ function parseEmail(message, accountEmail) {
     from: senderEmail,
     fromName: senderName,
     to,
+    cc,
+    recipients: [...parseAddressList(to), ...parseAddressList(cc)],
     subject,
     body,
     date: date ? new Date(date) : new Date(),
@@ -266,13 +322,70 @@ function parseEmail(message, accountEmail) {
 export function parseEmailAddress(emailString) {
   if (!emailString) return { name: 'Unknown', email: '' };
 
-  const match = emailString.match(/(?:"?([^"<]*)"?\s*)?<?([^>]+@[^>]+)>?/);
+  // "Name <email>" form; otherwise the whole string is the address
+  const match = emailString.match(/^\s*"?([^"<]*?)"?\s*<([^>]+@[^>]+)>/);
+  const email = (match ? match[2] : emailString).trim().toLowerCase();
   return {
-    name: match?.[1]?.trim() || match?.[2]?.split('@')[0] || 'Unknown',
-    email: match?.[2]?.trim()?.toLowerCase() || emailString.toLowerCase()
+    name: match?.[1]?.trim() || email.split('@')[0] || 'Unknown',
+    email
   };
 }
 
+/**
+ * Parse a multi-recipient header ("A <a@x.com>, \"Smith, B\" <b@y.com>, c@z.com")
+ * into a list of { name, email }
+ */
+export function parseAddressList(headerValue) {
+  if (!headerValue) return [];
+
+  // Split on commas that are outside quotes and angle brackets
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (const char of headerValue) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '<' && !inQuotes) inAngle = true;
+    else if (char === '>' && !inQuotes) inAngle = false;
+
+    if ((char === ',' || char === ';') && !inQuotes && !inAngle) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts
+    .map(part => part.trim())
+    .filter(part => part.includes('@'))
+    .map(part => parseEmailAddress(part));
+}
+
+/**
+ * Get the external participants (sender and To/Cc recipients) of an email,
+ * i.e. everyone who is not on our team (see team.js)
+ */
+export function getExternalParticipants(email) {
+  const participants = new Map();
+
+  const candidates = [
+    { name: email.fromName, email: email.from },
+    ...(email.recipients || parseAddressList(email.to))
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate.email || isInternalAddress(candidate.email)) continue;
+    if (!participants.has(candidate.email)) {
+      participants.set(candidate.email, candidate);
+    }
+  }
+
+  return [...participants.values()];
+}
+
 /**
  * Get all emails in a thread for a specific account
  */
@@ -280,11 +393,11 @@ export async function getThreadEmails(email, threadId) {
   const client = getGmailClient(email);
 
   try {
-    const thread = await client.users.threads.get({
+    const thread = await withRetry('gmail', 'threads.get', () => client.users.threads.get({
       userId: 'me',
       id: threadId,
       format: 'full'
-    });
+    }));
 
     const emails = [];
     for (const message of thread.data.messages || []) {
@@ -305,32 +418,17 @@ export async function getThreadEmails(email, threadId) {
  * Group emails by unique external contacts
  * Returns map of email address -> array of emails
  */
-export function groupEmailsByContact(emails, monitoredEmails) {
-  const monitoredSet = new Set(monitoredEmails.map(e => e.toLowerCase()));
+export function groupEmailsByContact(emails) {
   const byContact = new Map();
 
   for (const email of emails) {
-    // Determine the external contact (not one of our monitored accounts)
-    let contactEmail;
-
-    if (monitoredSet.has(email.from)) {
-      // We sent this - the contact is the recipient
-      const toMatch = email.to?.match(/<?([^>,\s]+@[^>,\s]+)>?/);
-      contactEmail = toMatch?.[1]?.toLowerCase();
-    } else {
-      // They sent this - the contact is the sender
-      contactEmail = email.from;
-    }
-
-    // Skip if contact is one of our monitored emails
-    if (!contactEmail || monitoredSet.has(contactEmail)) {
-      continue;
-    }
-
-    if (!byContact.has(contactEmail)) {
-      byContact.set(contactEmail, []);
+    // Every external participant (sender, To and Cc) is a contact for this email
+    for (const { email: contactEmail } of getExternalParticipants(email)) {
+      if (!byContact.has(contactEmail)) {
+        byContact.set(contactEmail, []);
+      }
+      byContact.get(contactEmail).push(email);
     }
-    byContact.get(contactEmail).push(email);
   }
 
   return byContact;
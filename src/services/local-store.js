@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { CRM_FIELDS, MEETING_FIELDS, FIRM_FIELDS } from './fields.js';
+import { parseFieldValue, dateValueToDate, timeValueToMinutes } from './field-types.js';
+import { log } from '../utils/logger.js';
+
+let filePath = null;
+let auditPath = null;
+let data = null;
+
+/**
+ * Initialize the local file-backed CRM store
+ */
+export function initLocalStore(storePath = './data/crm.json') {
+  filePath = storePath;
+  auditPath = path.join(path.dirname(storePath), 'audit.jsonl');
+  log(`[LocalStore] Using local CRM file ${filePath}`);
+}
+
+/**
+ * Load the CRM file, creating an empty one if it doesn't exist yet
+ */
+export async function ensureLocalStore({ readOnly = false } = {}) {
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    data = {};
+    log(`[LocalStore] Creating new CRM file at ${filePath}`);
+  }
+
+  data.investors = data.investors || [];
+  data.meetings = data.meetings || [];
+  data.firms = data.firms || [];
+
+  // Same guarantee as the sheet: every record has a stable ID
+  let assigned = 0;
+  for (const investor of data.investors) {
+    if (!investor.recordId) {
+      investor.recordId = randomUUID();
+      assigned++;
+    }
+  }
+  if (assigned > 0) {
+    log(`[LocalStore] Assigned record IDs to ${assigned} record(s)`);
+  }
+
+  if (!readOnly) save();
+  log(`[LocalStore] Loaded ${data.investors.length} investor(s)`);
+  return true;
+}
+
+/**
+ * Write the CRM file (atomically, via a temp file)
+ */
+function save() {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Get the field names stored in the CRM (known fields plus any custom ones)
+ */
+export function getFields() {
+  const fields = new Set(CRM_FIELDS);
+  for (const investor of data.investors) {
+    Object.keys(investor).forEach(field => fields.add(field));
+  }
+  return [...fields];
+}
+
+/**
+ * Get all investors, in stored order, typed (values written by hand or by an
+ * older version are parsed the same way as sheet cells)
+ */
+export async function getInvestors() {
+  const fields = getFields();
+
+  return data.investors.map((investor, index) => {
+    const record = { rowIndex: index + 2 }; // Mirrors sheet rows (1-indexed, after header)
+
+    for (const field of fields) {
+      record[field] = parseFieldValue(field, investor[field]);
+    }
+
+    return record;
+  });
+}
+
+/**
+ * Add a new investor
+ */
+export async function addInvestor(investor) {
+  const record = { ...investor, recordId: investor.recordId || randomUUID() };
+  delete record.rowIndex;
+
+  data.investors.push(record);
+  save();
+
+  log(`[LocalStore] Added new investor: ${investor.name || investor.email}`);
+  return record;
+}
+
+/**
+ * Update specific fields for an investor, located by record ID
+ */
+export async function updateInvestor(investor, updates) {
+  const record = data.investors.find(r => r.recordId === investor.recordId);
+  if (!record) {
+    throw new Error(`Record ${investor.recordId} (${investor.name || investor.email}) no longer exists in the local CRM`);
+  }
+
+  const written = Object.keys(updates).filter(field => field !== 'recordId' && field !== 'rowIndex');
+  for (const field of written) {
+    record[field] = updates[field];
+  }
+  save();
+
+  log(`[LocalStore] Updated ${record.name || record.email}:`, written.join(', '));
+  return written;
+}
+
+/**
+ * Sort by meeting date, time, then company - same order as the sheet sort
+ * (empty values sort last)
+ */
+export async function sortByMeetingDate() {
+  const compare = (a, b) => {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+
+  const dateOf = inv => dateValueToDate(parseFieldValue('meetingDate', inv.meetingDate))?.getTime() ?? null;
+  const timeOf = inv => timeValueToMinutes(parseFieldValue('meetingTime', inv.meetingTime));
+
+  data.investors.sort((a, b) =>
+    compare(dateOf(a), dateOf(b)) ||
+    compare(timeOf(a), timeOf(b)) ||
+    compare(a.company?.toLowerCase() || null, b.company?.toLowerCase() || null)
+  );
+  save();
+
+  log('[LocalStore] Sorted by date, time, and company');
+}
+
+/**
+ * Remove all investors
+ */
+export async function clearCRMData() {
+  const count = data.investors.length;
+  data.investors = [];
+  save();
+
+  log(`[LocalStore] Cleared ${count} records`);
+}
+
+/**
+ * Delete an investor, located by record ID
+ */
+export async function removeInvestor(investor) {
+  const index = data.investors.findIndex(r => r.recordId === investor.recordId);
+  if (index < 0) {
+    throw new Error(`Record ${investor.recordId} (${investor.name || investor.email}) no longer exists in the local CRM`);
+  }
+
+  data.investors.splice(index, 1);
+  save();
+
+  log(`[LocalStore] Removed ${investor.name || investor.email}`);
+}
+
+/**
+ * Append change-history entries to the local audit log (one JSON object per line)
+ */
+export async function appendAuditEntries(entries) {
+  fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+  fs.appendFileSync(auditPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+/**
+ * Read all change-history entries from the local audit log (oldest first)
+ */
+export async function getAuditEntries() {
+  if (!fs.existsSync(auditPath)) return [];
+
+  return fs.readFileSync(auditPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Read all meeting history records
+ */
+export async function getMeetingRecords() {
+  return data.meetings.map(meeting => ({ ...meeting }));
+}
+
+/**
+ * Add or update meeting history records (matched on eventId + recordId)
+ */
+export async function upsertMeetingRecords(records) {
+  let added = 0;
+
+  for (const record of records) {
+    const stored = Object.fromEntries(MEETING_FIELDS.map(field => [field, record[field] ?? '']));
+    const index = data.meetings.findIndex(m => m.eventId === record.eventId && m.recordId === record.recordId);
+
+    if (index >= 0) {
+      data.meetings[index] = stored;
+    } else {
+      data.meetings.push(stored);
+      added++;
+    }
+  }
+  save();
+
+  log(`[LocalStore] Meetings: ${added} added, ${records.length - added} updated`);
+}
+
+/**
+ * Read all firm records
+ */
+export async function getFirmRecords() {
+  return data.firms.map(firm => ({ ...firm }));
+}
+
+/**
+ * Add or update firm records (matched on firmId)
+ */
+export async function upsertFirmRecords(records) {
+  let added = 0;
+
+  for (const record of records) {
+    const stored = Object.fromEntries(FIRM_FIELDS.map(field => [field, record[field] ?? '']));
+    const index = data.firms.findIndex(f => f.firmId === record.firmId);
+
+    if (index >= 0) {
+      data.firms[index] = stored;
+    } else {
+      data.firms.push(stored);
+      added++;
+    }
+  }
+  save();
+
+  log(`[LocalStore] Firms: ${added} added, ${records.length - added} updated`);
+}
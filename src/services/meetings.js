@@ -0,0 +1,143 @@
+import { getMeetings, upsertMeetings, getInvestorEmails } from './store.js';
+import { getMembers, getMemberNames, isInternalAddress } from './team.js';
+import { toDateValue, toTimeValue, parseDate, formatDate, formatTime, dateValueToDate, getTimeZone } from './field-types.js';
+import { isValidTimeZone, getTimeZoneAbbreviation } from '../utils/time-zones.js';
+import { log } from '../utils/logger.js';
+
+// Outcomes the agent sets; anything else in the Outcome column was typed by
+// a human and is left alone
+const AUTO_OUTCOMES = ['Upcoming', 'Held', 'Declined', 'Cancelled'];
+
+/**
+ * Work out a meeting's outcome from the calendar
+ */
+function getOutcome(meeting, investor) {
+  if (meeting.status === 'cancelled') return 'Cancelled';
+
+  const emails = getInvestorEmails(investor);
+  const response = meeting.attendees.find(a => emails.includes(a.email))?.response;
+  if (response === 'declined') return 'Declined';
+
+  return meeting.isPast ? 'Held' : 'Upcoming';
+}
+
+/**
+ * Timezone a meeting's date and time are written in: the timezone of the
+ * team members attending when they share one (timeZone in team.json),
+ * otherwise the CRM timezone
+ */
+export function getMeetingTimeZone(meeting) {
+  const attending = getMembers([meeting.calendarOwner, ...meeting.attendees.map(a => a.email)]);
+  const zones = new Set(attending.map(m => m.timeZone || getTimeZone()));
+  return zones.size === 1 ? [...zones][0] : getTimeZone();
+}
+
+/**
+ * A meeting's start in the event's own timezone - usually the investor's,
+ * when they sent the invite - for showing alongside our time: "9:00 AM AEDT",
+ * with the date when it's a different day. Empty when the event has no
+ * timezone of its own, is all-day, or is at the same time as ours.
+ */
+export function getInvestorLocalTime(meeting, timeZone = getMeetingTimeZone(meeting)) {
+  if (!meeting.start?.includes('T') || !isValidTimeZone(meeting.timeZone)) return '';
+
+  const date = toDateValue(meeting.start, meeting.timeZone);
+  const time = toTimeValue(meeting.start, meeting.timeZone);
+  const ourDate = toDateValue(meeting.start, timeZone);
+  if (date === ourDate && time === toTimeValue(meeting.start, timeZone)) return '';
+
+  const day = date !== ourDate ? `${formatDate(date)} ` : '';
+  return `${day}${formatTime(time)} ${getTimeZoneAbbreviation(new Date(meeting.start), meeting.timeZone)}`;
+}
+
+/**
+ * The CRM row fields for when a meeting is: meetingDate and meetingTime in
+ * the meeting's timezone, and localTime (see getInvestorLocalTime)
+ */
+export function getMeetingTimes(meeting) {
+  const timeZone = getMeetingTimeZone(meeting);
+  return {
+    meetingDate: toDateValue(meeting.start, timeZone),
+    meetingTime: toTimeValue(meeting.start, timeZone),
+    localTime: getInvestorLocalTime(meeting, timeZone)
+  };
+}
+
+/**
+ * Build a meeting history record for an investor from a calendar meeting
+ */
+export function buildMeetingRecord(investor, meeting) {
+  const addresses = meeting.attendees.map(a => a.email).filter(Boolean);
+  const timeZone = getMeetingTimeZone(meeting);
+
+  return {
+    eventId: meeting.id,
+    recordId: investor.recordId,
+    investor: investor.name || investor.email,
+    title: meeting.title,
+    date: formatDate(toDateValue(meeting.start, timeZone)),
+    time: formatTime(toTimeValue(meeting.start, timeZone)),
+    with: getMemberNames(addresses).join(', '),
+    attendees: addresses.filter(a => !isInternalAddress(a)).join(', '),
+    outcome: getOutcome(meeting, investor),
+    calendarLink: meeting.calendarLink || '',
+    meetLink: meeting.meetLink || ''
+  };
+}
+
+/**
+ * Record calendar meetings in the meeting history
+ *
+ * entries: [{ investor, meetings }]. Only new or changed records are written.
+ * For investors in `scope` (default: those in entries) whose upcoming meetings
+ * were all looked up (the next `aheadDays`), a recorded "Upcoming" meeting
+ * that's no longer on the calendar is marked Cancelled.
+ */
+export async function recordMeetings(entries, { scope = null, aheadDays = 60 } = {}) {
+  const existing = await getMeetings();
+  const existingByKey = new Map(existing.map(m => [`${m.eventId}:${m.recordId}`, m]));
+  const seen = new Set();
+  const changed = [];
+
+  for (const { investor, meetings } of entries) {
+    if (!investor.recordId) continue;
+
+    for (const meeting of meetings) {
+      const record = buildMeetingRecord(investor, meeting);
+      const key = `${record.eventId}:${record.recordId}`;
+      const current = existingByKey.get(key);
+      seen.add(key);
+
+      if (current && current.outcome && !AUTO_OUTCOMES.includes(current.outcome)) {
+        record.outcome = current.outcome;
+      }
+
+      if (!current || Object.keys(record).some(field => (current[field] ?? '') !== record[field])) {
+        changed.push(record);
+      }
+    }
+  }
+
+  // Upcoming meetings that have disappeared from the calendar were cancelled
+  const checked = scope || new Set(entries.map(e => e.investor.recordId));
+  const today = toDateValue(new Date());
+  const windowEnd = toDateValue(new Date(Date.now() + aheadDays * 24 * 60 * 60 * 1000));
+
+  for (const record of existing) {
+    const key = `${record.eventId}:${record.recordId}`;
+    if (seen.has(key) || record.outcome !== 'Upcoming' || !checked.has(record.recordId)) continue;
+
+    const date = parseDate(record.date);
+    if (dateValueToDate(date) && date >= today && date <= windowEnd) {
+      const { rowIndex, ...fields } = record;
+      changed.push({ ...fields, outcome: 'Cancelled' });
+    }
+  }
+
+  if (changed.length > 0) {
+    await upsertMeetings(changed);
+    log(`[Meetings] Recorded ${changed.length} meeting change(s)`);
+  }
+
+  return changed.length;
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { log } from '../utils/logger.js';
+
+let dryRun = false;
+let changes = [];
+
+/**
+ * Turn on dry-run mode: CRM writes are recorded into a change plan instead of applied
+ */
+export function enableDryRun() {
+  dryRun = true;
+  changes = [];
+  log('[Plan] DRY RUN - no changes will be written to the CRM');
+}
+
+/**
+ * Whether we're in dry-run mode
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Record an intended change ({ type: 'add' | 'update' | 'remove' | 'sort' | 'clear' | 'color', ... })
+ */
+export function recordChange(change) {
+  changes.push({ ...change, at: new Date().toISOString() });
+}
+
+/**
+ * Get the recorded change plan
+ */
+export function getPlan() {
+  return changes;
+}
+
+/**
+ * Describe a single planned change in one line
+ */
+function describeChange(change) {
+  switch (change.type) {
+    case 'add': {
+      const fields = Object.entries(change.values)
+        .filter(([field, value]) => value && field !== 'recordId')
+        .map(([field, value]) => `${field}=${JSON.stringify(value)}`)
+        .join(', ');
+      return `+ ADD ${change.name}: ${fields}`;
+    }
+    case 'update': {
+      const fields = Object.entries(change.changes)
+        .map(([field, { from, to }]) => `${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`)
+        .join('; ');
+      return `~ UPDATE ${change.name}: ${fields}`;
+    }
+    case 'color': {
+      const byColor = {};
+      for (const [name, color] of Object.entries(change.colors)) {
+        (byColor[color] = byColor[color] || []).push(name);
+      }
+      const groups = Object.entries(byColor)
+        .map(([color, names]) => (color === 'white' ? `white: ${names.length} row(s)` : `${color}: ${names.join(', ')}`))
+        .join('; ');
+      return `# COLOR ${groups}`;
+    }
+    case 'meetings': {
+      const meetings = change.meetings
+        .map(m => `${m.investor}: "${m.title}" ${m.date} (${m.outcome})`)
+        .join('; ');
+      return `@ MEETINGS ${meetings}`;
+    }
+    case 'firms': {
+      const firms = change.firms
+        .map(f => `${f.name} [${f.stage || 'no stage'}]: ${f.contacts}`)
+        .join('; ');
+      return `@ FIRMS ${firms}`;
+    }
+    case 'remove':
+      return `- REMOVE ${change.name}`;
+    case 'sort':
+      return '^ SORT by meeting date, time, company';
+    case 'clear':
+      return `x CLEAR all ${change.count} investor(s)`;
+    default:
+      return `? ${change.type}`;
+  }
+}
+
+/**
+ * Print the change plan
+ */
+export function printPlan() {
+  log('\n========================================');
+  log(`CHANGE PLAN (dry run) - ${changes.length} change(s), nothing written`);
+  log('========================================');
+
+  for (const change of changes) {
+    log(describeChange(change));
+  }
+
+  log('========================================\n');
+}
+
+/**
+ * Write the change plan to a JSON file
+ */
+export function writePlan(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ createdAt: new Date().toISOString(), changes }, null, 2));
+  log(`[Plan] Wrote ${changes.length} planned change(s) to ${filePath}`);
+}
+
+/**
+ * Parse --dry-run and --plan <file> from command line arguments
+ */
+export function parsePlanArgs(args) {
+  const planIndex = args.indexOf('--plan');
+  return {
+    dryRun: args.includes('--dry-run'),
+    planFile: planIndex >= 0 ? args[planIndex + 1] : null
+  };
+}
+
+/**
+ * Print (and optionally save) the plan at the end of a dry run
+ */
+export function finishDryRun(planFile) {
+  if (!dryRun) return;
+
+  printPlan();
+  if (planFile) {
+    writePlan(planFile);
+  }
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { getInvestors, updateInvestor, resetInvestorCache } from './store.js';
+import { log, warn } from '../utils/logger.js';
+
+/**
+ * Build a proposed change for an investor: field -> { before, after }
+ * Returns null when nothing would actually change
+ */
+export function buildProposal(investor, updates) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(updates)) {
+    const before = investor[field] ?? '';
+    if (value !== before) {
+      changes[field] = { before, after: value };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) return null;
+
+  return {
+    recordId: investor.recordId,
+    name: investor.name,
+    email: investor.email,
+    changes
+  };
+}
+
+/**
+ * Print a before/after diff for one proposal
+ */
+export function printProposal(proposal, index, total) {
+  log(`\n[${index + 1}/${total}] ${proposal.name} (${proposal.email})`);
+
+  for (const [field, { before, after }] of Object.entries(proposal.changes)) {
+    log(`  ${field}:`);
+    log(`    - ${before ? JSON.stringify(before) : '(empty)'}`);
+    log(`    + ${JSON.stringify(after)}`);
+  }
+}
+
+/**
+ * Write proposals to a JSON file so they can be reviewed and applied later
+ */
+export function exportProposals(filePath, proposals, meta = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ createdAt: new Date().toISOString(), ...meta, proposals }, null, 2));
+  log(`[Review] Exported ${proposals.length} proposal(s) to ${filePath}`);
+  log(`[Review] Edit or prune the file, then apply with: npm run apply -- ${filePath}`);
+}
+
+/**
+ * Load proposals from an exported file
+ */
+export function loadProposals(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return data.proposals || [];
+}
+
+/**
+ * Apply approved proposals to the CRM
+ *
+ * Each record is re-read first; a field whose current value no longer matches
+ * the proposal's "before" was edited in the meantime and is left alone.
+ */
+export async function applyProposals(proposals) {
+  // Review can take a while - pick up edits made in the meantime
+  resetInvestorCache();
+  const investors = await getInvestors();
+  const results = { applied: 0, skipped: 0 };
+
+  for (const proposal of proposals) {
+    const investor = investors.find(inv => inv.recordId === proposal.recordId);
+    if (!investor) {
+      warn(`[Review] ${proposal.name} no longer exists, skipping`);
+      results.skipped++;
+      continue;
+    }
+
+    const updates = {};
+    for (const [field, { before, after }] of Object.entries(proposal.changes)) {
+      if ((investor[field] ?? '') !== before) {
+        warn(`[Review] ${proposal.name}: ${field} changed since the proposal was made, skipping that field`);
+        continue;
+      }
+      updates[field] = after;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      results.skipped++;
+      continue;
+    }
+
+    await updateInvestor(investor, updates);
+    log(`[Review] Applied to ${proposal.name}: ${Object.keys(updates).join(', ')}`);
+    results.applied++;
+  }
+
+  return results;
+}
+
+/**
+ * Parse --approve-all and --export <file> from command line arguments
+ */
+export function parseReviewArgs(args) {
+  const exportIndex = args.indexOf('--export');
+  return {
+    approveAll: args.includes('--approve-all'),
+    exportFile: exportIndex >= 0 ? args[exportIndex + 1] : null
+  };
+}
+
+/**
+ * Show proposals and let a human decide what lands in the CRM:
+ * approve all, approve per row, export to a file for later, or discard
+ */
+export async function reviewProposals(proposals, { approveAll = false, exportFile = null, source = 'review' } = {}) {
+  if (proposals.length === 0) {
+    log('\n[Review] No changes proposed');
+    return;
+  }
+
+  proposals.forEach((proposal, i) => printProposal(proposal, i, proposals.length));
+
+  if (exportFile) {
+    exportProposals(exportFile, proposals, { source });
+    return;
+  }
+
+  if (approveAll) {
+    log(`\n[Review] Approving all ${proposals.length} proposal(s)`);
+    const results = await applyProposals(proposals);
+    log('[Review] Done:', results);
+    return;
+  }
+
+  // Nobody to ask (e.g. under pm2) - park the proposals instead of guessing
+  if (!process.stdin.isTTY) {
+    const fallbackFile = `./data/proposals-${source}-${Date.now()}.json`;
+    warn('[Review] No terminal to review in; exporting instead');
+    exportProposals(fallbackFile, proposals, { source });
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    const choice = (await rl.question(`\nApply ${proposals.length} proposal(s)? [a]ll / [r]eview each / [e]xport / [n]one: `)).trim().toLowerCase();
+
+    if (choice === 'a') {
+      const results = await applyProposals(proposals);
+      log('[Review] Done:', results);
+    } else if (choice === 'r') {
+      const approved = [];
+      for (let i = 0; i < proposals.length; i++) {
+        printProposal(proposals[i], i, proposals.length);
+        const answer = (await rl.question('Apply this change? [y]es / [n]o / [q]uit: ')).trim().toLowerCase();
+        if (answer === 'q') break;
+        if (answer === 'y') approved.push(proposals[i]);
+      }
+      const results = await applyProposals(approved);
+      log('[Review] Done:', results);
+    } else if (choice === 'e') {
+      const file = (await rl.question('Export to file [./data/proposals.json]: ')).trim() || './data/proposals.json';
+      exportProposals(file, proposals, { source });
+    } else {
+      log('[Review] Discarded all proposals, nothing written');
+    }
+  } finally {
+    rl.close();
+  }
+}
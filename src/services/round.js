@@ -0,0 +1,97 @@
+import { getSettings } from './settings.js';
+import { parseAmount, formatAmount } from '../utils/money.js';
+import { log } from '../utils/logger.js';
+
+export const COMMITMENT_STATUSES = ['Soft-circled', 'Committed'];
+export const LEAD_STATUSES = ['Lead', 'Follow'];
+
+/**
+ * Build round updates (check size, commitment, lead/follow, terms) from a
+ * thread analysis. Only values the thread mentions are written, and a
+ * commitment never goes back from Committed to Soft-circled.
+ */
+export function getRoundUpdates(investor, analysis) {
+  const updates = {};
+
+  const setIfChanged = (field, value) => {
+    if (value && value !== (investor[field] || '')) updates[field] = value;
+  };
+
+  setIfChanged('checkSize', parseAmount(analysis.checkSize));
+  setIfChanged('commitmentAmount', parseAmount(analysis.commitmentAmount));
+
+  if (analysis.commitmentStatus && !(investor.commitmentStatus === 'Committed' && analysis.commitmentStatus !== 'Committed')) {
+    setIfChanged('commitmentStatus', analysis.commitmentStatus);
+  }
+
+  setIfChanged('leadStatus', analysis.leadStatus);
+  setIfChanged('terms', analysis.terms);
+
+  return updates;
+}
+
+/**
+ * Add up the round across investors
+ *
+ * Committed and soft-circled totals come from the Commitment column, split
+ * by Commitment Status; remaining is what's left of round.target after
+ * commitments (null when no target is configured).
+ */
+export function getRoundSummary(investors) {
+  const target = parseAmount(getSettings().round.target);
+  const summary = { target, committed: 0, softCircled: 0, remaining: null, investors: [], leads: [] };
+
+  for (const inv of investors) {
+    const amount = parseAmount(inv.commitmentAmount);
+    if (!amount) continue;
+
+    const status = inv.commitmentStatus === 'Committed' ? 'Committed' : 'Soft-circled';
+    if (status === 'Committed') {
+      summary.committed += amount;
+    } else {
+      summary.softCircled += amount;
+    }
+
+    summary.investors.push({ name: inv.name, company: inv.company, amount, status, leadStatus: inv.leadStatus || '', terms: inv.terms || '' });
+  }
+
+  summary.leads = [...new Set(investors.filter(inv => inv.leadStatus === 'Lead').map(inv => inv.company || inv.name))];
+  summary.investors.sort((a, b) => b.amount - a.amount);
+  if (target) summary.remaining = Math.max(0, target - summary.committed);
+
+  return summary;
+}
+
+/**
+ * Print the round summary (target, committed, soft-circled, remaining and allocation)
+ */
+export function printRoundSummary(investors) {
+  const { name, currency } = getSettings().round;
+  const summary = getRoundSummary(investors);
+  const money = amount => formatAmount(amount, currency) || `${currency}0`;
+  const percent = amount => (summary.target ? ` (${Math.round((amount / summary.target) * 100)}%)` : '');
+
+  log('\n========================================');
+  log(`ROUND SUMMARY${name ? ` - ${name}` : ''}`);
+  log('========================================');
+  log(`Target:       ${summary.target ? money(summary.target) : 'not set (round.target in config/crm.json)'}`);
+  log(`Committed:    ${money(summary.committed)}${percent(summary.committed)}`);
+  log(`Soft-circled: ${money(summary.softCircled)}${percent(summary.softCircled)}`);
+  if (summary.remaining !== null) {
+    log(`Remaining:    ${money(summary.remaining)}`);
+  }
+  log(`Lead(s):      ${summary.leads.length > 0 ? summary.leads.join(', ') : 'none yet'}\n`);
+
+  if (summary.investors.length === 0) {
+    log('No commitments recorded yet');
+    return summary;
+  }
+
+  for (const inv of summary.investors) {
+    const lead = inv.leadStatus ? `, ${inv.leadStatus.toLowerCase()}` : '';
+    log(`  ${money(inv.amount).padEnd(8)} ${inv.status.padEnd(12)} ${inv.name}${inv.company ? ` (${inv.company})` : ''}${lead}`);
+    if (inv.terms) log(`           Terms: ${inv.terms}`);
+  }
+
+  return summary;
+}
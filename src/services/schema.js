@@ -0,0 +1,213 @@
+import fs from 'fs';
+import { MEETING_STATUSES } from './fields.js';
+import { COMMITMENT_STATUSES, LEAD_STATUSES } from './round.js';
+import { getSettings } from './settings.js';
+import { getStages } from './stages.js';
+import { getWithOptions } from './team.js';
+import { log, warn } from '../utils/logger.js';
+
+export const FIELD_TYPES = ['text', 'date', 'time', 'enum', 'url', 'boolean', 'currency'];
+
+// Fields the agent can't work without
+const CORE_FIELDS = ['name', 'email', 'recordId'];
+
+/**
+ * Default CRM schema - config/schema.json overrides or extends any field
+ *
+ * Each field maps sheet headers to a CRM field. A header matches a field when
+ * it equals the field's header or one of its aliases (case and extra spaces
+ * ignored) - never a partial match. Field settings:
+ *   header     header the column gets on a new sheet
+ *   aliases    other headers accepted for the field
+ *   type       text | date | time | enum | url | boolean | currency
+ *   options    enum values, or optionsFrom: "stages" (config/crm.json) or "team"
+ *   required   the sheet must have this column
+ *   autoAdd    the agent adds the column on first run if it's missing
+ *   hidden     the column is hidden when added
+ *   research   npm run fill may look the value up on the web (never for
+ *              hidden or autoAdd fields, which the agent maintains itself)
+ * Headers that match no field are kept as custom columns.
+ */
+const DEFAULT_FIELDS = {
+  name: { header: 'Name', aliases: ['Investor Name', 'Investor', 'Contact Name', 'Contact'], type: 'text', required: true },
+  email: { header: 'Email', aliases: ['Email Address', 'E-mail'], type: 'text', required: true },
+  alternateEmails: { header: 'Alternate Emails', aliases: ['Other Emails', 'Alt Emails'], type: 'text', autoAdd: true },
+  company: { header: 'Company', aliases: ['Fund', 'Firm', 'Organization', 'Org'], type: 'text', research: true },
+  location: { header: 'Location', aliases: ['City', 'HQ', 'Headquarters', 'Based In'], type: 'text', research: true },
+  about: { header: 'About', aliases: ['Bio', 'Description', 'Background'], type: 'text', research: true },
+  meetingStatus: { header: 'Meeting Status', aliases: ['Status'], type: 'enum', options: MEETING_STATUSES },
+  meetingDate: { header: 'Meeting Date', aliases: ['Meeting', 'Next Meeting', 'Scheduled Date', 'Date'], type: 'date' },
+  meetingTime: { header: 'Meeting Time', aliases: ['Time', 'Start Time', 'Meeting Start'], type: 'time' },
+  localTime: { header: 'Investor Time', aliases: ['Their Time', 'Local Time'], type: 'text', autoAdd: true },
+  with: { header: 'With', aliases: ['Meeting With', 'Attendee', 'Attendees'], type: 'enum', optionsFrom: 'team' },
+  needsResponse: { header: 'Needs Response', aliases: ['Awaiting Response', 'Pending Response', 'Response Needed'], type: 'boolean' },
+  lastContact: { header: 'Last Contact', aliases: ['Last Contacted', 'Last Email', 'Last Touch'], type: 'date' },
+  calendarLink: { header: 'Calendar Link', aliases: ['Calendar', 'Cal Link', 'Event Link', 'GCal', 'Google Calendar'], type: 'url' },
+  meetLink: { header: 'Meet Link', aliases: ['Meeting Link', 'Video Link', 'Zoom', 'Google Meet', 'Meet'], type: 'url' },
+  notes: { header: 'Notes', aliases: ['Note', 'Comments', 'Summary', 'Context'], type: 'text', research: true },
+  stage: { header: 'Stage', aliases: ['Deal Stage', 'Pipeline Stage'], type: 'enum', optionsFrom: 'stages', autoAdd: true },
+  stageChangedAt: { header: 'Stage Changed', aliases: ['Stage Date'], type: 'date', autoAdd: true },
+  checkSize: { header: 'Check Size', aliases: ['Typical Check', 'Ticket Size'], type: 'currency', autoAdd: true },
+  commitmentAmount: { header: 'Commitment', aliases: ['Commitment Amount', 'Committed Amount', 'Amount'], type: 'currency', autoAdd: true },
+  commitmentStatus: { header: 'Commitment Status', aliases: ['Soft Circle', 'Soft Circled'], type: 'enum', options: COMMITMENT_STATUSES, autoAdd: true },
+  leadStatus: { header: 'Lead/Follow', aliases: ['Lead or Follow', 'Lead Status'], type: 'enum', options: LEAD_STATUSES, autoAdd: true },
+  terms: { header: 'Terms', aliases: ['Valuation', 'Deal Terms'], type: 'text', autoAdd: true },
+  firmId: { header: 'Firm ID', aliases: [], type: 'text', autoAdd: true, hidden: true },
+  recordId: { header: 'Record ID', aliases: [], type: 'text', autoAdd: true, hidden: true }
+};
+
+let schema = null;
+
+/**
+ * Normalize a header for matching ("  Meeting  date " -> "meeting date")
+ */
+export function normalizeHeader(header) {
+  return String(header || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load the CRM schema from a JSON file, on top of the defaults
+ *
+ * config/schema.json: { "fields": { "<field>": { ...settings } } }. Settings
+ * are merged into a default field of the same name, or define a new field;
+ * null drops a default field (except name, email and recordId).
+ */
+export function loadSchema(schemaPath = process.env.CRM_SCHEMA_PATH || './config/schema.json') {
+  let fileConfig = {};
+
+  if (fs.existsSync(schemaPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    log(`[Schema] Loaded CRM schema from ${schemaPath}`);
+  }
+
+  const fields = {};
+  const overrides = fileConfig.fields || {};
+
+  for (const [name, defaults] of Object.entries(DEFAULT_FIELDS)) {
+    if (overrides[name] === null && !CORE_FIELDS.includes(name)) continue;
+    fields[name] = { name, aliases: [], type: 'text', ...defaults, ...overrides[name] };
+  }
+  for (const [name, settings] of Object.entries(overrides)) {
+    if (!fields[name] && settings) {
+      fields[name] = { name, aliases: [], type: 'text', header: name, ...settings };
+    }
+  }
+
+  schema = { fields: Object.values(fields) };
+
+  for (const problem of checkSchema()) {
+    warn(`[Schema] ${problem}`);
+  }
+
+  return schema;
+}
+
+/**
+ * Get the schema fields, in column order (loaded on first use)
+ */
+export function getSchemaFields() {
+  return (schema || loadSchema()).fields;
+}
+
+/**
+ * Get one schema field by name, or null
+ */
+export function getSchemaField(name) {
+  return getSchemaFields().find(field => field.name === name) || null;
+}
+
+/**
+ * Whether npm run fill may research a field on the web: schema fields marked
+ * research (and not maintained by the agent), and custom columns the schema
+ * doesn't know
+ */
+export function isResearchField(name) {
+  const field = getSchemaField(name);
+  if (!field) return true;
+  return Boolean(field.research) && !field.hidden && !field.autoAdd;
+}
+
+/**
+ * Allowed values of an enum or boolean field (empty for other types)
+ */
+export function getFieldOptions(field) {
+  if (field.type === 'boolean') return getSettings().formats.boolean;
+  if (field.type !== 'enum') return [];
+  if (field.optionsFrom === 'stages') return getStages();
+  if (field.optionsFrom === 'team') return getWithOptions();
+  return field.options || [];
+}
+
+/**
+ * Problems with the schema itself: unknown types, enums without options,
+ * and headers or aliases claimed by more than one field
+ */
+export function checkSchema() {
+  const problems = [];
+  const claimedBy = new Map();
+
+  for (const field of getSchemaFields()) {
+    if (!FIELD_TYPES.includes(field.type)) {
+      problems.push(`${field.name}: unknown type "${field.type}" (use ${FIELD_TYPES.join(', ')})`);
+    }
+    if (field.type === 'enum' && !field.options && !['stages', 'team'].includes(field.optionsFrom)) {
+      problems.push(`${field.name}: enum needs "options" or "optionsFrom": "stages" | "team"`);
+    }
+
+    for (const header of [field.header, ...field.aliases]) {
+      const key = normalizeHeader(header);
+      const owner = claimedBy.get(key);
+      if (owner && owner !== field.name) {
+        problems.push(`"${header}" is claimed by both ${owner} and ${field.name}`);
+      } else {
+        claimedBy.set(key, field.name);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Match a header row against the schema
+ *
+ * Returns { columns, ambiguous, duplicates, unmapped, missing }:
+ *   columns     [{ header, index, field }] (field null for custom columns)
+ *   ambiguous   headers matching more than one field (the first one is used)
+ *   duplicates  fields matched by more than one header (the first one is used)
+ *   unmapped    headers matching no field, kept as custom columns
+ *   missing     required fields with no column
+ */
+export function matchHeaders(headers) {
+  const fields = getSchemaFields();
+  const used = new Map();
+  const result = { columns: [], ambiguous: [], duplicates: [], unmapped: [], missing: [] };
+
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    const matches = key
+      ? fields.filter(field => [field.header, ...field.aliases].some(h => normalizeHeader(h) === key))
+      : [];
+
+    if (matches.length > 1) {
+      result.ambiguous.push({ header, fields: matches.map(f => f.name) });
+    }
+
+    const field = matches[0] || null;
+    if (field && used.has(field.name)) {
+      result.duplicates.push({ field: field.name, headers: [used.get(field.name), header] });
+      result.columns.push({ header, index, field: null });
+      return;
+    }
+
+    if (field) {
+      used.set(field.name, header);
+    } else if (key) {
+      result.unmapped.push(header);
+    }
+    result.columns.push({ header, index, field: field?.name || null });
+  });
+
+  result.missing = fields.filter(field => field.required && !used.has(field.name)).map(field => field.name);
+  return result;
+}
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import { log, warn } from '../utils/logger.js';
+import { isValidTimeZone } from '../utils/time-zones.js';
+
+/**
+ * Default CRM settings - config/crm.json overrides any of these
+ *
+ * rowColors.rules are checked in order; the first rule whose conditions all
+ * match picks the row's color. Condition values:
+ *   "Scheduled"            field equals (case-insensitive)
+ *   ["A", "B"]             field is one of
+ *   true / false           boolean field is true / not
+ *   { "upcoming": true }   date field is today or later ("past" for before today)
+ *
+ * stages.order lists the deal stages in pipeline order. A deal may move to any
+ * later stage; a closed stage (won or lost) is final. stages.transitions maps
+ * a stage to the exact list of stages it may move to, overriding that rule.
+ *
+ * round.target is the amount being raised ("$5M" or 5000000), used for the
+ * round summary; round.currency prefixes amounts written to the CRM.
+ *
+ * timeZone is the CRM timezone (an IANA name like "America/Los_Angeles"):
+ * meeting dates and times, last contact and stage dates are written in it.
+ * Unset, the spreadsheet's own timezone is used (the server's for the local
+ * store).
+ *
+ * formats sets how typed values are written to the sheet: date and time use
+ * tokens like "D MMM YYYY" / "YYYY-MM-DD" and "h:mm A" / "HH:mm", boolean is
+ * the [yes, no] pair. Cells in another format, or typed by hand, still read fine.
+ */
+const DEFAULT_SETTINGS = {
+  timeZone: null,
+  stages: {
+    order: ['Sourced', 'Intro', 'First Meeting', 'Partner Meeting', 'Diligence', 'Term Sheet', 'Committed', 'Passed'],
+    closed: ['Committed', 'Passed'],
+    transitions: {}
+  },
+  round: {
+    name: '',
+    target: null,
+    currency: '$'
+  },
+  formats: {
+    date: 'D MMM YYYY',
+    time: 'h:mm A',
+    boolean: ['Yes', 'No']
+  },
+  rowColors: {
+    palette: {
+      green: '#D9F2D9',   // Light green - upcoming meeting (confirmed)
+      yellow: '#FFF2CC',  // Light yellow - meeting needs response
+      white: '#FFFFFF'    // Default
+    },
+    rules: [
+      { color: 'yellow', when: { meetingStatus: 'Scheduled', needsResponse: true } },
+      { color: 'green', when: { meetingStatus: 'Scheduled', meetingDate: { upcoming: true } } }
+    ],
+    default: 'white'
+  }
+};
+
+let settings = null;
+
+/**
+ * Load CRM settings (row colors, ...) from a JSON file, on top of the defaults
+ */
+export function loadSettings(configPath = process.env.CRM_CONFIG_PATH || './config/crm.json') {
+  let fileConfig = {};
+
+  if (fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    log(`[Settings] Loaded CRM settings from ${configPath}`);
+  } else {
+    log(`[Settings] No CRM settings at ${configPath}, using defaults`);
+  }
+
+  const rowColors = fileConfig.rowColors || {};
+  const stages = fileConfig.stages || {};
+  settings = {
+    ...DEFAULT_SETTINGS,
+    ...fileConfig,
+    stages: {
+      order: stages.order || DEFAULT_SETTINGS.stages.order,
+      closed: stages.closed || (stages.order ? [] : DEFAULT_SETTINGS.stages.closed),
+      transitions: stages.transitions || DEFAULT_SETTINGS.stages.transitions
+    },
+    round: { ...DEFAULT_SETTINGS.round, ...fileConfig.round },
+    formats: { ...DEFAULT_SETTINGS.formats, ...fileConfig.formats },
+    rowColors: {
+      palette: { ...DEFAULT_SETTINGS.rowColors.palette, ...rowColors.palette },
+      rules: rowColors.rules || DEFAULT_SETTINGS.rowColors.rules,
+      default: rowColors.default || DEFAULT_SETTINGS.rowColors.default
+    }
+  };
+
+  if (settings.timeZone && !isValidTimeZone(settings.timeZone)) {
+    warn(`[Settings] Unknown timeZone "${settings.timeZone}", using the sheet's timezone instead`);
+    settings.timeZone = null;
+  }
+
+  const unknownStages = [...settings.stages.closed, ...Object.keys(settings.stages.transitions)]
+    .filter(stage => !settings.stages.order.includes(stage));
+  if (unknownStages.length > 0) {
+    warn(`[Settings] Stage(s) not in stages.order: ${unknownStages.join(', ')}`);
+  }
+
+  for (const rule of settings.rowColors.rules) {
+    if (!settings.rowColors.palette[rule.color]) {
+      warn(`[Settings] Row color rule uses "${rule.color}", which is not in the palette`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Get the CRM settings (loaded from CRM_CONFIG_PATH on first use)
+ */
+export function getSettings() {
+  return settings || loadSettings();
+}
+
+/**
+ * Convert "#RRGGBB" to a Sheets color ({ red, green, blue } in 0-1)
+ */
+export function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return { red: 1, green: 1, blue: 1 };
+
+  return {
+    red: parseInt(match[1], 16) / 255,
+    green: parseInt(match[2], 16) / 255,
+    blue: parseInt(match[3], 16) / 255
+  };
+}
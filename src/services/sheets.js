@@ -1,30 +1,35 @@
 import { google } from 'googleapis';
 import fs from 'fs';
+import { randomUUID } from 'crypto';
 import { log, warn, error } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { getSettings, hexToRgb } from './settings.js';
+import { parseFieldValue, formatCellValue, toDateValue, dateValueToDate, getSheetsPattern, setSheetTimeZone, getTimeZone } from './field-types.js';
+import { MEETING_FIELDS, FIRM_FIELDS } from './fields.js';
+import { getSchemaFields, getSchemaField, getFieldOptions, matchHeaders } from './schema.js';
 
 let sheets = null;
 let spreadsheetId = null;
 let sheetName = null;
 let columnMap = {}; // Maps field names to column indices
 let totalColumns = 0;
+let readOnlyMode = false; // Set by ensureCRMSheet({ readOnly }): no columns or IDs are written
 
-// Common column name variations we'll look for
-const COLUMN_ALIASES = {
-  name: ['name', 'investor name', 'investor', 'contact name', 'contact'],
-  email: ['email', 'email address', 'e-mail'],
-  company: ['company', 'fund', 'firm', 'organization', 'org'],
-  location: ['location', 'city', 'hq', 'headquarters', 'based in'],
-  about: ['about', 'bio', 'description', 'background'],
-  meetingStatus: ['meeting status', 'status', 'stage', 'meeting stage'],
-  meetingDate: ['meeting date', 'date', 'next meeting', 'scheduled date', 'meeting'],
-  meetingTime: ['meeting time', 'time', 'start time', 'meeting start'],
-  lastContact: ['last contact', 'last contacted', 'last email', 'last touch'],
-  notes: ['notes', 'note', 'comments', 'summary', 'context'],
-  with: ['with', 'meeting with', 'attendee', 'attendees'],
-  calendarLink: ['calendar link', 'calendar', 'cal link', 'event link', 'gcal', 'google calendar'],
-  meetLink: ['meet link', 'meeting link', 'video link', 'zoom', 'google meet', 'meet'],
-  needsResponse: ['needs response', 'awaiting response', 'pending response', 'response needed']
-};
+// Change history tab
+const AUDIT_SHEET_NAME = 'Audit';
+const AUDIT_HEADERS = ['Timestamp', 'Run ID', 'Source', 'Record ID', 'Investor', 'Field', 'Old Value', 'New Value', 'Context'];
+const AUDIT_KEYS = ['timestamp', 'runId', 'source', 'recordId', 'investor', 'field', 'oldValue', 'newValue', 'context'];
+let auditSheetReady = false;
+
+// Meeting history tab (one row per meeting per investor, see MEETING_FIELDS)
+const MEETINGS_SHEET_NAME = 'Meetings';
+const MEETING_HEADERS = ['Event ID', 'Record ID', 'Investor', 'Title', 'Date', 'Time', 'With', 'Attendees', 'Outcome', 'Calendar Link', 'Meet Link'];
+let meetingsSheetReady = false;
+
+// Firms tab (one row per fund, rolled up from its contacts, see FIRM_FIELDS)
+const FIRMS_SHEET_NAME = 'Firms';
+const FIRM_HEADERS = ['Firm ID', 'Firm', 'Domains', 'Contacts', 'Stage', 'Last Contact', 'Meetings', 'Last Meeting', 'Next Meeting'];
+let firmsSheetReady = false;
 
 /**
  * Initialize Google Sheets API client using Service Account
@@ -38,7 +43,7 @@ export function initSheets(serviceAccountPath, sheetId, targetSheetName = 'CRM')
     scopes: ['https://www.googleapis.com/auth/spreadsheets']
   });
 
-  sheets = google.sheets({ version: 'v4', auth });
+  sheets = google.sheets({ version: 'v4', auth, retry: false });
   spreadsheetId = sheetId;
   sheetName = targetSheetName;
 
@@ -52,57 +57,97 @@ export function initSheets(serviceAccountPath, sheetId, targetSheetName = 'CRM')
 export async function discoverColumns() {
   try {
     // Get the first row (headers)
-    const response = await sheets.spreadsheets.values.get({
+    const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
       spreadsheetId,
       range: `${sheetName}!1:1`
-    });
+    }));
 
-    const headers = response.data.values?.[0] || [];
-    totalColumns = headers.length;
+    return mapHeaders(response.data.values?.[0] || []);
+  } catch (err) {
+    error('[Sheets] Error discovering columns:', err.message);
+    throw err;
+  }
+}
 
-    log(`[Sheets] Found ${headers.length} columns:`, headers.join(', '));
+/**
+ * Whether a header row differs from the one the column map was built from
+ */
+function headersChanged(headers) {
+  const known = columnMap._headers || [];
+  return headers.length !== known.length || headers.some((header, i) => header !== known[i]);
+}
 
-    // Map each header to our field names
-    columnMap = {};
+/**
+ * Rebuild the column map if the header row has changed since it was read
+ * (columns added, renamed or reordered while the agent is running)
+ * Returns true when the map was rebuilt.
+ */
+function remapIfChanged(headers) {
+  if (!headersChanged(headers)) return false;
 
-    headers.forEach((header, index) => {
-      const headerLower = header.toLowerCase().trim();
+  log('[Sheets] Header row changed, rediscovering columns');
+  mapHeaders(headers);
+  return true;
+}
 
-      // First check predefined aliases
-      let mapped = false;
-      for (const [fieldName, aliases] of Object.entries(COLUMN_ALIASES)) {
-        if (aliases.some(alias => headerLower.includes(alias) || alias.includes(headerLower))) {
-          columnMap[fieldName] = index;
-          log(`[Sheets] Mapped "${header}" (col ${index}) → ${fieldName}`);
-          mapped = true;
-          break;
-        }
-      }
+/**
+ * Re-read the header row and rebuild the column map if it has changed
+ */
+async function refreshColumns() {
+  const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!1:1`
+  }));
 
-      // Also map by raw header name (for ANY custom columns)
-      const cleanHeader = headerLower.replace(/[^a-z0-9]/g, '');
-      if (!mapped) {
-        columnMap[cleanHeader] = index;
-        log(`[Sheets] Mapped "${header}" (col ${index}) → ${cleanHeader}`);
-      }
-    });
+  return remapIfChanged(response.data.values?.[0] || []);
+}
 
-    // Store raw headers for reference
-    columnMap._headers = headers;
-    columnMap._headerIndices = {};
-    headers.forEach((h, i) => {
-      columnMap._headerIndices[h.toLowerCase().trim()] = i;
-    });
+/**
+ * Build the column map from a header row
+ */
+function mapHeaders(headers) {
+  totalColumns = headers.length;
 
-    return columnMap;
-  } catch (err) {
-    error('[Sheets] Error discovering columns:', err.message);
-    throw err;
+  log(`[Sheets] Found ${headers.length} columns:`, headers.join(', '));
+
+  // Map each header to its schema field (exact header or alias only);
+  // anything else is kept as a custom column under its raw header name
+  columnMap = {};
+  const { columns, ambiguous, duplicates } = matchHeaders(headers);
+
+  for (const { header, index, field } of columns) {
+    const key = field || normalizeCustomHeader(header);
+    if (!key || columnMap[key] !== undefined) continue;
+    columnMap[key] = index;
+    log(`[Sheets] Mapped "${header}" (col ${index}) → ${key}`);
   }
+
+  for (const { header, fields } of ambiguous) {
+    warn(`[Sheets] Header "${header}" matches ${fields.join(' and ')} - using ${fields[0]} (run npm run schema -- validate)`);
+  }
+  for (const { field, headers: both } of duplicates) {
+    warn(`[Sheets] Both "${both[0]}" and "${both[1]}" map to ${field} - using "${both[0]}"`);
+  }
+
+  // Store raw headers for reference
+  columnMap._headers = headers;
+  columnMap._headerIndices = {};
+  headers.forEach((h, i) => {
+    columnMap._headerIndices[h.toLowerCase().trim()] = i;
+  });
+
+  return columnMap;
+}
+
+/**
+ * Field key of a custom (unmapped) column: its header without spaces or punctuation
+ */
+function normalizeCustomHeader(header) {
+  return header.toLowerCase().trim().replace(/[^a-z0-9]/g, '');
 }
 
 /**
- * Get column index for a field (checks aliases AND raw header names)
+ * Get column index for a field (checks schema fields AND raw header names)
  */
 function getColumnIndex(field) {
   if (columnMap[field] !== undefined) return columnMap[field];
@@ -128,222 +173,535 @@ function getColumnIndex(field) {
  * Get column letter from index
  */
 function getColumnLetter(index) {
-  return String.fromCharCode(65 + index);
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
 }
 
 /**
- * Format date as "11 Jan 2025"
+ * Get the field names of every mapped column (known fields and custom headers)
  */
-export function formatMeetingDate(dateStr) {
-  if (!dateStr) return '';
-
-  try {
-    const date = new Date(dateStr);
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const day = date.getDate();
-    const month = months[date.getMonth()];
-    const year = date.getFullYear();
-    return `${day} ${month} ${year}`;
-  } catch {
-    return dateStr;
-  }
+export function getFields() {
+  return Object.keys(columnMap).filter(field => !field.startsWith('_'));
 }
 
 /**
- * Format time as "2:30 PM"
+ * Whether the sheet has a column for a field (updates skip fields without one)
  */
-export function formatMeetingTime(dateTimeStr) {
-  if (!dateTimeStr) return '';
-
-  try {
-    const date = new Date(dateTimeStr);
-    let hours = date.getHours();
-    const minutes = date.getMinutes();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12 || 12;
-    const minutesStr = minutes < 10 ? `0${minutes}` : minutes;
-    return `${hours}:${minutesStr} ${ampm}`;
-  } catch {
-    return '';
-  }
+export function hasColumn(field) {
+  return getColumnIndex(field) >= 0;
 }
 
 /**
- * Get all investors from the sheet
+ * Get all investors from the sheet, with every field parsed into its typed
+ * value (see field-types.js)
  */
 export async function getInvestors() {
-  const lastCol = getColumnLetter(totalColumns - 1);
-  const response = await sheets.spreadsheets.values.get({
+  // Read the whole tab (every column, however wide) so the header row read
+  // alongside the data can be checked against the column map. Cells come back
+  // unformatted - dates and times as serial numbers - so parsing doesn't
+  // depend on the sheet's locale or display formats.
+  const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
     spreadsheetId,
-    range: `${sheetName}!A:${lastCol}`
-  });
+    range: sheetName,
+    valueRenderOption: 'UNFORMATTED_VALUE',
+    dateTimeRenderOption: 'SERIAL_NUMBER'
+  }));
 
   const rows = response.data.values || [];
+  remapIfChanged((rows[0] || []).map(String));
 
   // Skip header row
   if (rows.length <= 1) {
     return [];
   }
 
-  return rows.slice(1).map((row, index) => {
+  const investors = rows.slice(1).map((row, index) => {
     const investor = {
       rowIndex: index + 2, // +2 because 1-indexed and skip header
       _raw: row // Keep raw row for any unmapped columns
     };
 
     // Map known fields
-    for (const field of Object.keys(COLUMN_ALIASES)) {
+    for (const { name: field } of getSchemaFields()) {
       const colIndex = getColumnIndex(field);
       if (colIndex >= 0) {
-        let value = row[colIndex] || '';
-        if (field === 'email') value = value.toLowerCase();
-        investor[field] = value;
+        investor[field] = parseFieldValue(field, row[colIndex]);
       }
     }
 
     return investor;
   });
-}
 
-/**
- * Find an investor by email address or name (to prevent duplicates)
- */
-export async function findInvestorByEmail(email) {
-  const investors = await getInvestors();
-  const emailLower = email.toLowerCase();
-
-  // First try to find by email
-  const emailCol = getColumnIndex('email');
-  if (emailCol >= 0) {
-    const byEmail = investors.find(inv => inv.email === emailLower);
-    if (byEmail) return byEmail;
-  }
-
-  // Also check if name matches (extract name from email if needed)
-  const nameCol = getColumnIndex('name');
-  if (nameCol >= 0) {
-    // Try to match by name as fallback
-    const byName = investors.find(inv => {
-      if (!inv.name) return false;
-      const invNameLower = inv.name.toLowerCase().trim();
-      // Check if investor's email contains this name or vice versa
-      const emailPrefix = emailLower.split('@')[0].replace(/[._-]/g, ' ');
-      return invNameLower.includes(emailPrefix) || emailPrefix.includes(invNameLower.split(' ')[0]);
-    });
-    if (byName) return byName;
-  }
-
-  return null;
+  await assignMissingRecordIds(investors);
+  return investors;
 }
 
 /**
- * Find an investor by name (exact or partial match)
+ * Give rows added by hand since startup a record ID before they're handed
+ * out, so writes to them are found by ID rather than a row number a sort
+ * can invalidate. Skipped in read-only mode.
  */
-export async function findInvestorByName(name) {
-  if (!name) return null;
+async function assignMissingRecordIds(investors) {
+  const idCol = getColumnIndex('recordId');
+  if (readOnlyMode || idCol < 0) return;
 
-  const investors = await getInvestors();
-  const nameLower = name.toLowerCase().trim();
+  const columnLetter = getColumnLetter(idCol);
+  const data = [];
 
-  // Exact match first
-  let match = investors.find(inv =>
-    inv.name && inv.name.toLowerCase().trim() === nameLower
-  );
-  if (match) return match;
-
-  // Partial match (first name + last name)
-  const nameParts = nameLower.split(/\s+/);
-  if (nameParts.length >= 2) {
-    match = investors.find(inv => {
-      if (!inv.name) return false;
-      const invNameLower = inv.name.toLowerCase();
-      return nameParts.every(part => invNameLower.includes(part));
+  for (const investor of investors) {
+    if (investor.recordId || (!investor.name && !investor.email)) continue;
+
+    investor.recordId = randomUUID();
+    data.push({
+      range: `${sheetName}!${columnLetter}${investor.rowIndex}`,
+      values: [[investor.recordId]]
     });
   }
 
-  return match || null;
+  if (data.length > 0) {
+    await withRetry('sheets', 'values.batchUpdate', () => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data }
+    }));
+    log(`[Sheets] Assigned record IDs to ${data.length} new row(s)`);
+  }
 }
 
 /**
  * Add a new investor to the sheet
  */
 export async function addInvestor(investor) {
+  const record = { ...investor, recordId: investor.recordId || randomUUID() };
+  await refreshColumns();
+
   // Build row based on discovered columns
   const row = new Array(totalColumns).fill('');
 
-  for (const [field, value] of Object.entries(investor)) {
+  for (const [field, value] of Object.entries(record)) {
     const colIndex = getColumnIndex(field);
-    if (colIndex >= 0 && value) {
-      row[colIndex] = value;
+    if (colIndex >= 0) {
+      row[colIndex] = formatCellValue(field, value);
     }
   }
 
   const lastCol = getColumnLetter(totalColumns - 1);
 
-  await sheets.spreadsheets.values.append({
+  await withRetry('sheets', 'values.append', () => sheets.spreadsheets.values.append({
     spreadsheetId,
     range: `${sheetName}!A:${lastCol}`,
     valueInputOption: 'USER_ENTERED',
     requestBody: {
       values: [row]
     }
-  });
+  }));
 
   log(`[Sheets] Added new investor: ${investor.name || investor.email}`);
+  return record;
+}
+
+/**
+ * Resolve an investor to its current row number
+ *
+ * Rows move when the sheet is sorted or humans insert rows, so the rowIndex
+ * captured by an earlier getInvestors() read can't be trusted for writes.
+ * Look the record ID up in the ID column right before writing instead. The
+ * header row is read in the same request, so columns moved or added since
+ * are remapped before anything is written.
+ */
+async function resolveRowIndex(investor) {
+  const idCol = getColumnIndex('recordId');
+  if (idCol < 0 || !investor.recordId) {
+    await refreshColumns();
+    return investor.rowIndex;
+  }
+
+  const columnLetter = getColumnLetter(idCol);
+  const response = await withRetry('sheets', 'values.batchGet', () => sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: [`${sheetName}!1:1`, `${sheetName}!${columnLetter}:${columnLetter}`]
+  }));
+
+  const [headerRange, idRange] = response.data.valueRanges;
+  if (remapIfChanged(headerRange.values?.[0] || []) && getColumnIndex('recordId') !== idCol) {
+    // The ID column itself moved - look again in its new place
+    return resolveRowIndex(investor);
+  }
+
+  const ids = (idRange.values || []).map(row => row[0]);
+  const index = ids.indexOf(investor.recordId);
+  if (index < 1) {
+    throw new Error(`Record ${investor.recordId} (${investor.name || investor.email}) no longer exists in the sheet`);
+  }
+
+  const rowIndex = index + 1;
+  if (rowIndex !== investor.rowIndex) {
+    log(`[Sheets] Record ${investor.recordId} moved from row ${investor.rowIndex} to ${rowIndex}`);
+  }
+  return rowIndex;
 }
 
 /**
  * Update specific fields for an investor
+ * Fields without a column are skipped; returns the fields written
  */
-export async function updateInvestor(rowIndex, updates) {
+export async function updateInvestor(investor, updates) {
+  const rowIndex = await resolveRowIndex(investor);
   const requests = [];
+  const written = [];
 
   for (const [field, value] of Object.entries(updates)) {
+    if (field === 'recordId') continue;
     const colIndex = getColumnIndex(field);
     if (colIndex < 0) continue;
 
     const columnLetter = getColumnLetter(colIndex);
+    written.push(field);
     requests.push({
       range: `${sheetName}!${columnLetter}${rowIndex}`,
-      values: [[value]]
+      values: [[formatCellValue(field, value)]]
     });
   }
 
   if (requests.length > 0) {
-    await sheets.spreadsheets.values.batchUpdate({
+    await withRetry('sheets', 'values.batchUpdate', () => sheets.spreadsheets.values.batchUpdate({
       spreadsheetId,
       requestBody: {
         valueInputOption: 'USER_ENTERED',
         data: requests
       }
+    }));
+
+    log(`[Sheets] Updated row ${rowIndex}:`, written.join(', '));
+  }
+
+  return written;
+}
+
+/**
+ * Find a tab in the spreadsheet (defaults to the CRM tab we're working on)
+ */
+async function getTargetSheet(title = sheetName) {
+  const spreadsheet = await withRetry('sheets', 'get', () => sheets.spreadsheets.get({
+    spreadsheetId
+  }));
+
+  return spreadsheet.data.sheets.find(
+    s => s.properties.title === title
+  );
+}
+
+/**
+ * Create a tab with a header row if it doesn't exist yet
+ */
+async function ensureTab(title, headers) {
+  if (await getTargetSheet(title)) return;
+
+  await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title } } }]
+    }
+  }));
+
+  await withRetry('sheets', 'values.update', () => sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${title}!A1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [headers] }
+  }));
+
+  log(`[Sheets] Created "${title}" tab`);
+}
+
+/**
+ * Delete an investor's row
+ */
+export async function removeInvestor(investor) {
+  const rowIndex = await resolveRowIndex(investor);
+  const targetSheet = await getTargetSheet();
+
+  await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        deleteDimension: {
+          range: {
+            sheetId: targetSheet.properties.sheetId,
+            dimension: 'ROWS',
+            startIndex: rowIndex - 1,
+            endIndex: rowIndex
+          }
+        }
+      }]
+    }
+  }));
+
+  log(`[Sheets] Removed row ${rowIndex}: ${investor.name || investor.email}`);
+}
+
+/**
+ * Append change-history entries to the Audit tab
+ */
+export async function appendAuditEntries(entries) {
+  if (!auditSheetReady) {
+    await ensureTab(AUDIT_SHEET_NAME, AUDIT_HEADERS);
+    auditSheetReady = true;
+  }
+
+  await withRetry('sheets', 'values.append', () => sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${AUDIT_SHEET_NAME}!A:${getColumnLetter(AUDIT_HEADERS.length - 1)}`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: entries.map(entry => AUDIT_KEYS.map(key => String(entry[key] ?? '')))
+    }
+  }));
+}
+
+/**
+ * Read all change-history entries from the Audit tab (oldest first)
+ */
+export async function getAuditEntries() {
+  if (!(await getTargetSheet(AUDIT_SHEET_NAME))) return [];
+
+  const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${AUDIT_SHEET_NAME}!A:${getColumnLetter(AUDIT_HEADERS.length - 1)}`
+  }));
+
+  return (response.data.values || []).slice(1).map(row =>
+    Object.fromEntries(AUDIT_KEYS.map((key, i) => [key, row[i] || '']))
+  );
+}
+
+/**
+ * Read the records of a table-like tab (header row, then one record per row)
+ */
+async function readTabRecords(title, headers, fields) {
+  if (!(await getTargetSheet(title))) return [];
+
+  const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${title}!A:${getColumnLetter(headers.length - 1)}`
+  }));
+
+  return (response.data.values || []).slice(1).map((row, index) => ({
+    rowIndex: index + 2,
+    ...Object.fromEntries(fields.map((field, i) => [field, row[i] || '']))
+  }));
+}
+
+/**
+ * Add or update records on a table-like tab, matched on keyOf(record)
+ * Returns { added, updated }
+ */
+async function upsertTabRecords(title, headers, fields, records, keyOf) {
+  const existing = await readTabRecords(title, headers, fields);
+  const rowByKey = new Map(existing.map(r => [keyOf(r), r.rowIndex]));
+  const lastCol = getColumnLetter(headers.length - 1);
+  const toRow = record => fields.map(field => String(record[field] ?? ''));
+
+  const updates = [];
+  const appends = [];
+  for (const record of records) {
+    const rowIndex = rowByKey.get(keyOf(record));
+    if (rowIndex) {
+      updates.push({ range: `${title}!A${rowIndex}:${lastCol}${rowIndex}`, values: [toRow(record)] });
+    } else {
+      appends.push(toRow(record));
+    }
+  }
+
+  if (updates.length > 0) {
+    await withRetry('sheets', 'values.batchUpdate', () => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data: updates }
+    }));
+  }
+
+  if (appends.length > 0) {
+    await withRetry('sheets', 'values.append', () => sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: `${title}!A:${lastCol}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: appends }
+    }));
+  }
+
+  return { added: appends.length, updated: updates.length };
+}
+
+/**
+ * Read all meeting history records from the Meetings tab
+ */
+export async function getMeetingRecords() {
+  return readTabRecords(MEETINGS_SHEET_NAME, MEETING_HEADERS, MEETING_FIELDS);
+}
+
+/**
+ * Add or update meeting history records (matched on eventId + recordId)
+ */
+export async function upsertMeetingRecords(records) {
+  if (!meetingsSheetReady) {
+    await ensureTab(MEETINGS_SHEET_NAME, MEETING_HEADERS);
+    meetingsSheetReady = true;
+  }
+
+  const { added, updated } = await upsertTabRecords(MEETINGS_SHEET_NAME, MEETING_HEADERS, MEETING_FIELDS, records, m => `${m.eventId}:${m.recordId}`);
+  log(`[Sheets] Meetings: ${added} added, ${updated} updated`);
+}
+
+/**
+ * Read all firm records from the Firms tab
+ */
+export async function getFirmRecords() {
+  return readTabRecords(FIRMS_SHEET_NAME, FIRM_HEADERS, FIRM_FIELDS);
+}
+
+/**
+ * Add or update firm records (matched on firmId)
+ */
+export async function upsertFirmRecords(records) {
+  if (!firmsSheetReady) {
+    await ensureTab(FIRMS_SHEET_NAME, FIRM_HEADERS);
+    firmsSheetReady = true;
+  }
+
+  const { added, updated } = await upsertTabRecords(FIRMS_SHEET_NAME, FIRM_HEADERS, FIRM_FIELDS, records, f => f.firmId);
+  log(`[Sheets] Firms: ${added} added, ${updated} updated`);
+}
+
+/**
+ * Append header columns to the right of the existing ones, optionally hidden
+ */
+export async function addColumns(headers, { hidden = false } = {}) {
+  const targetSheet = await getTargetSheet();
+  const sheetId = targetSheet.properties.sheetId;
+  const startIndex = totalColumns;
+  const endIndex = totalColumns + headers.length;
+  const requests = [];
+
+  // Grow the grid first if the new headers don't fit
+  const columnCount = targetSheet.properties.gridProperties?.columnCount || 0;
+  if (columnCount < endIndex) {
+    requests.push({
+      appendDimension: { sheetId, dimension: 'COLUMNS', length: endIndex - columnCount }
+    });
+  }
+
+  if (hidden) {
+    requests.push({
+      updateDimensionProperties: {
+        range: { sheetId, dimension: 'COLUMNS', startIndex, endIndex },
+        properties: { hiddenByUser: true },
+        fields: 'hiddenByUser'
+      }
     });
+  }
 
-    log(`[Sheets] Updated row ${rowIndex}:`, Object.keys(updates).join(', '));
+  if (requests.length > 0) {
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests }
+    }));
   }
+
+  await withRetry('sheets', 'values.update', () => sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${sheetName}!${getColumnLetter(startIndex)}1:${getColumnLetter(endIndex - 1)}1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [headers] }
+  }));
+
+  log(`[Sheets] Added column(s): ${headers.join(', ')}${hidden ? ' (hidden)' : ''}`);
+  await discoverColumns();
 }
 
 /**
- * Append notes to an investor's existing notes
+ * Make sure every row has a stable record ID in the hidden ID column
  */
-export async function appendNotes(rowIndex, newNote, existingNotes = '') {
-  const timestamp = new Date().toISOString().split('T')[0];
-  const formattedNote = `[${timestamp}] ${newNote}`;
+async function ensureRecordIds() {
+  if (getColumnIndex('recordId') < 0) {
+    await addColumns([getSchemaField('recordId').header], { hidden: true });
+  }
+
+  const idCol = getColumnIndex('recordId');
+  const columnLetter = getColumnLetter(idCol);
+  const nameLetter = getColumnLetter(Math.max(getColumnIndex('name'), 0));
+  const emailLetter = getColumnLetter(Math.max(getColumnIndex('email'), 0));
+
+  const response = await withRetry('sheets', 'values.batchGet', () => sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: [
+      `${sheetName}!${columnLetter}:${columnLetter}`,
+      `${sheetName}!${nameLetter}:${nameLetter}`,
+      `${sheetName}!${emailLetter}:${emailLetter}`
+    ]
+  }));
+
+  const [ids, names, emails] = response.data.valueRanges.map(r => r.values || []);
+  const rowCount = Math.max(ids.length, names.length, emails.length);
+  const data = [];
+
+  for (let i = 1; i < rowCount; i++) {
+    const hasData = names[i]?.[0] || emails[i]?.[0];
+    if (hasData && !ids[i]?.[0]) {
+      data.push({
+        range: `${sheetName}!${columnLetter}${i + 1}`,
+        values: [[randomUUID()]]
+      });
+    }
+  }
+
+  if (data.length > 0) {
+    await withRetry('sheets', 'values.batchUpdate', () => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: { valueInputOption: 'RAW', data }
+    }));
+    log(`[Sheets] Assigned record IDs to ${data.length} row(s)`);
+  }
+}
 
-  const updatedNotes = existingNotes
-    ? `${existingNotes}\n\n${formattedNote}`
-    : formattedNote;
+/**
+ * Give currency columns a currency number format, so the plain amounts the
+ * agent writes display as money
+ */
+async function ensureCurrencyFormats(sheetId) {
+  const numberFormat = getNumberFormat('currency');
+  const requests = getSchemaFields()
+    .filter(field => field.type === 'currency' && getColumnIndex(field.name) >= 0)
+    .map(field => {
+      const index = getColumnIndex(field.name);
+      return {
+        repeatCell: {
+          range: { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 },
+          cell: { userEnteredFormat: { numberFormat } },
+          fields: 'userEnteredFormat.numberFormat'
+        }
+      };
+    });
 
-  await updateInvestor(rowIndex, { notes: updatedNotes });
+  if (requests.length > 0) {
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests }
+    }));
+  }
 }
 
 /**
  * Ensure the sheet exists (but don't create headers - use existing)
  */
-export async function ensureCRMSheet() {
+export async function ensureCRMSheet({ readOnly = false } = {}) {
+  readOnlyMode = readOnly;
+
   try {
-    const spreadsheet = await sheets.spreadsheets.get({
+    const spreadsheet = await withRetry('sheets', 'get', () => sheets.spreadsheets.get({
       spreadsheetId
-    });
+    }));
 
     const targetSheet = spreadsheet.data.sheets.find(
       s => s.properties.title === sheetName
@@ -360,9 +718,36 @@ export async function ensureCRMSheet() {
       }
     }
 
+    // The spreadsheet's timezone is the CRM timezone unless crm.json sets one
+    const sheetTimeZone = spreadsheet.data.properties?.timeZone;
+    setSheetTimeZone(sheetTimeZone);
+    if (sheetTimeZone && getTimeZone() !== sheetTimeZone) {
+      warn(`[Sheets] CRM timezone ${getTimeZone()} differs from the spreadsheet's (${sheetTimeZone}) - TODAY() and NOW() in the sheet use ${sheetTimeZone}`);
+    }
+    log(`[Sheets] Writing dates and times in ${getTimeZone()}`);
+
     // Discover columns from existing headers
     await discoverColumns();
 
+    // Columns the agent maintains (schema autoAdd), added on first run
+    const missing = getSchemaFields().filter(field => field.autoAdd && getColumnIndex(field.name) < 0);
+    if (missing.length > 0) {
+      if (readOnly) {
+        log(`[Sheets] Read-only: would add column(s) ${missing.map(field => field.header).join(', ')}`);
+      } else {
+        const visible = missing.filter(field => !field.hidden).map(field => field.header);
+        const hidden = missing.filter(field => field.hidden).map(field => field.header);
+        if (visible.length > 0) await addColumns(visible);
+        if (hidden.length > 0) await addColumns(hidden, { hidden: true });
+      }
+    }
+
+    // Give every row a stable identity for writes
+    if (!readOnly) {
+      await ensureRecordIds();
+      await ensureCurrencyFormats((targetSheet || spreadsheet.data.sheets[0]).properties.sheetId);
+    }
+
     return true;
   } catch (err) {
     error('[Sheets] Error:', err.message);
@@ -370,10 +755,133 @@ export async function ensureCRMSheet() {
   }
 }
 
+/**
+ * The CRM tab's header row, as last read
+ */
+export function getHeaderRow() {
+  return columnMap._headers || [];
+}
+
+/**
+ * Number format for a typed column (the display formats in
+ * config/crm.json), or null
+ */
+function getNumberFormat(type) {
+  switch (type) {
+    case 'date': return { type: 'DATE', pattern: getSheetsPattern('date') };
+    case 'time': return { type: 'TIME', pattern: getSheetsPattern('time') };
+    case 'currency': return { type: 'CURRENCY', pattern: `"${getSettings().round.currency}"#,##0` };
+    default: return null;
+  }
+}
+
+/**
+ * Set up a fresh CRM tab from the schema: the header row, dropdowns for enum
+ * and boolean columns, number formats for date, time and currency columns,
+ * and hidden ID columns. A tab that already has headers is left alone.
+ */
+export async function initSheetFromSchema() {
+  let targetSheet = await getTargetSheet();
+  if (!targetSheet) {
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+    }));
+    log(`[Sheets] Created "${sheetName}" tab`);
+    targetSheet = await getTargetSheet();
+  }
+
+  await discoverColumns();
+  if (totalColumns > 0) {
+    throw new Error(`"${sheetName}" already has a header row - check it with npm run schema -- validate instead`);
+  }
+
+  const fields = getSchemaFields();
+  const sheetId = targetSheet.properties.sheetId;
+  const requests = [];
+
+  // Grow the grid first if the columns don't fit
+  const columnCount = targetSheet.properties.gridProperties?.columnCount || 0;
+  if (columnCount < fields.length) {
+    requests.push({
+      appendDimension: { sheetId, dimension: 'COLUMNS', length: fields.length - columnCount }
+    });
+  }
+
+  fields.forEach((field, index) => {
+    const range = { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 };
+
+    const options = getFieldOptions(field);
+    if (options.length > 0) {
+      requests.push({
+        setDataValidation: {
+          range,
+          rule: {
+            condition: { type: 'ONE_OF_LIST', values: options.map(value => ({ userEnteredValue: value })) },
+            showCustomUi: true,
+            strict: false
+          }
+        }
+      });
+    }
+
+    const numberFormat = getNumberFormat(field.type);
+    if (numberFormat) {
+      requests.push({
+        repeatCell: { range, cell: { userEnteredFormat: { numberFormat } }, fields: 'userEnteredFormat.numberFormat' }
+      });
+    }
+
+    if (field.hidden) {
+      requests.push({
+        updateDimensionProperties: {
+          range: { sheetId, dimension: 'COLUMNS', startIndex: index, endIndex: index + 1 },
+          properties: { hiddenByUser: true },
+          fields: 'hiddenByUser'
+        }
+      });
+    }
+  });
+
+  // Bold, frozen header row
+  requests.push({
+    repeatCell: {
+      range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+      cell: { userEnteredFormat: { textFormat: { bold: true } } },
+      fields: 'userEnteredFormat.textFormat.bold'
+    }
+  });
+  requests.push({
+    updateSheetProperties: {
+      properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+      fields: 'gridProperties.frozenRowCount'
+    }
+  });
+
+  await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: { requests }
+  }));
+
+  await withRetry('sheets', 'values.update', () => sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${sheetName}!A1:${getColumnLetter(fields.length - 1)}1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [fields.map(field => field.header)] }
+  }));
+
+  log(`[Sheets] Set up "${sheetName}" with ${fields.length} column(s)`);
+  await discoverColumns();
+  return fields;
+}
+
 /**
  * Sort the sheet by meeting date, time, then company (to group same-firm investors)
  */
 export async function sortByMeetingDate() {
+  // Sort keys are column positions - make sure they're current
+  await refreshColumns();
+
   const meetingDateCol = getColumnIndex('meetingDate');
   if (meetingDateCol < 0) {
     log('[Sheets] No meeting date column found, skipping sort');
@@ -381,9 +889,9 @@ export async function sortByMeetingDate() {
   }
 
   try {
-    const spreadsheet = await sheets.spreadsheets.get({
+    const spreadsheet = await withRetry('sheets', 'get', () => sheets.spreadsheets.get({
       spreadsheetId
-    });
+    }));
 
     const targetSheet = spreadsheet.data.sheets.find(
       s => s.properties.title === sheetName
@@ -422,7 +930,7 @@ export async function sortByMeetingDate() {
       });
     }
 
-    await sheets.spreadsheets.batchUpdate({
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       requestBody: {
         requests: [{
@@ -437,7 +945,7 @@ export async function sortByMeetingDate() {
           }
         }]
       }
-    });
+    }));
 
     log('[Sheets] Sorted by date, time, and company');
   } catch (err) {
@@ -451,10 +959,10 @@ export async function sortByMeetingDate() {
 export async function clearCRMData() {
   try {
     const lastCol = getColumnLetter(totalColumns - 1);
-    const response = await sheets.spreadsheets.values.get({
+    const response = await withRetry('sheets', 'values.get', () => sheets.spreadsheets.values.get({
       spreadsheetId,
       range: `${sheetName}!A:${lastCol}`
-    });
+    }));
 
     const rows = response.data.values || [];
 
@@ -463,10 +971,10 @@ export async function clearCRMData() {
       return;
     }
 
-    await sheets.spreadsheets.values.clear({
+    await withRetry('sheets', 'values.clear', () => sheets.spreadsheets.values.clear({
       spreadsheetId,
       range: `${sheetName}!A2:${lastCol}${rows.length}`
-    });
+    }));
 
     log(`[Sheets] Cleared ${rows.length - 1} rows`);
   } catch (err) {
@@ -476,53 +984,44 @@ export async function clearCRMData() {
 }
 
 /**
- * Color a row: 'green' (upcoming confirmed), 'yellow' (needs response), or 'white' (default)
+ * Build a repeatCell request that paints rows [startRow, endRow] (1-indexed) one color
  */
-export async function setRowColor(rowIndex, color = 'white') {
-  try {
-    const spreadsheet = await sheets.spreadsheets.get({
-      spreadsheetId
-    });
-
-    const targetSheet = spreadsheet.data.sheets.find(
-      s => s.properties.title === sheetName
-    );
+function buildColorRequest(sheetId, startRow, endRow, color) {
+  const { palette } = getSettings().rowColors;
+
+  return {
+    repeatCell: {
+      range: {
+        sheetId,
+        startRowIndex: startRow - 1,
+        endRowIndex: endRow,
+        startColumnIndex: 0,
+        endColumnIndex: totalColumns
+      },
+      cell: {
+        userEnteredFormat: {
+          backgroundColor: hexToRgb(palette[color] || palette[getSettings().rowColors.default])
+        }
+      },
+      fields: 'userEnteredFormat.backgroundColor'
+    }
+  };
+}
 
+/**
+ * Color a single row with a palette color (see config/crm.json)
+ */
+export async function setRowColor(rowIndex, color = getSettings().rowColors.default) {
+  try {
+    const targetSheet = await getTargetSheet();
     if (!targetSheet) return;
 
-    const sheetId = targetSheet.properties.sheetId;
-
-    // Define colors: green (confirmed upcoming), yellow (needs response), white (default)
-    const colors = {
-      green: { red: 0.85, green: 0.95, blue: 0.85 },   // Light green
-      yellow: { red: 1, green: 0.95, blue: 0.8 },      // Light yellow
-      white: { red: 1, green: 1, blue: 1 }             // White
-    };
-
-    const backgroundColor = colors[color] || colors.white;
-
-    await sheets.spreadsheets.batchUpdate({
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       requestBody: {
-        requests: [{
-          repeatCell: {
-            range: {
-              sheetId,
-              startRowIndex: rowIndex - 1,
-              endRowIndex: rowIndex,
-              startColumnIndex: 0,
-              endColumnIndex: totalColumns
-            },
-            cell: {
-              userEnteredFormat: {
-                backgroundColor
-              }
-            },
-            fields: 'userEnteredFormat.backgroundColor'
-          }
-        }]
+        requests: [buildColorRequest(targetSheet.properties.sheetId, rowIndex, rowIndex, color)]
       }
-    });
+    }));
 
     log(`[Sheets] Row ${rowIndex} colored ${color}`);
   } catch (err) {
@@ -531,50 +1030,87 @@ export async function setRowColor(rowIndex, color = 'white') {
 }
 
 /**
- * Update row colors based on meeting status:
- * - Green: upcoming meeting (confirmed)
- * - Yellow: meeting needs response
- * - White: no upcoming meeting or completed
+ * Check one row color rule condition against a field value
  */
-export async function updateRowColors() {
-  const investors = await getInvestors();
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+function matchesCondition(value, condition, today) {
+  if (typeof condition === 'boolean') {
+    return (value === true) === condition;
+  }
 
-  for (const inv of investors) {
-    try {
-      // Check if needs response (yellow takes priority)
-      const needsResponse = inv.needsResponse === 'Yes' || inv.needsResponse === 'TRUE' || inv.needsResponse === true;
+  if (Array.isArray(condition)) {
+    return condition.some(option => String(option).toLowerCase() === String(value || '').toLowerCase());
+  }
 
-      if (needsResponse && inv.meetingStatus === 'Scheduled') {
-        await setRowColor(inv.rowIndex, 'yellow');
-        continue;
-      }
+  if (condition && typeof condition === 'object') {
+    // Date values ("2025-01-11") compare in calendar order as strings
+    if (!dateValueToDate(value)) return false;
+    if (condition.upcoming) return value >= today;
+    if (condition.past) return value < today;
+    return false;
+  }
 
-      // Check for upcoming meeting (green)
-      if (inv.meetingDate) {
-        let meetingDate;
-        if (inv.meetingDate.match(/^\d{4}-\d{2}-\d{2}$/)) {
-          meetingDate = new Date(inv.meetingDate);
-        } else {
-          meetingDate = new Date(inv.meetingDate);
-        }
+  return String(condition).toLowerCase() === String(value || '').toLowerCase();
+}
 
-        meetingDate.setHours(0, 0, 0, 0);
-        const isUpcoming = meetingDate >= today;
+/**
+ * Decide a row's color from the configured rules (first match wins)
+ * Defaults: yellow when a scheduled meeting needs a response, green for an
+ * upcoming scheduled meeting, white otherwise
+ */
+export function getRowColor(inv, today = new Date()) {
+  // "Today" in the CRM timezone, the one the dates were written in
+  const todayValue = toDateValue(today);
 
-        if (isUpcoming && inv.meetingStatus === 'Scheduled') {
-          await setRowColor(inv.rowIndex, 'green');
-          continue;
-        }
-      }
+  const { rules, default: defaultColor } = getSettings().rowColors;
+  const rule = rules.find(r =>
+    Object.entries(r.when || {}).every(([field, condition]) => matchesCondition(inv[field], condition, todayValue))
+  );
+
+  return rule ? rule.color : defaultColor;
+}
+
+/**
+ * Update row colors (see getRowColor) in a single batched request
+ * Pass the current investors to skip re-reading the sheet
+ */
+export async function updateRowColors(investors = null) {
+  investors = investors || await getInvestors();
+  const today = new Date();
 
-      // Default to white
-      await setRowColor(inv.rowIndex, 'white');
-    } catch (e) {
-      log(`[Sheets] Could not process color for row ${inv.rowIndex}`);
+  const rows = investors
+    .filter(inv => inv.rowIndex)
+    .map(inv => ({ rowIndex: inv.rowIndex, color: getRowColor(inv, today) }))
+    .sort((a, b) => a.rowIndex - b.rowIndex);
+
+  if (rows.length === 0) return;
+
+  // Merge runs of adjacent rows that share a color into one range
+  const runs = [];
+  for (const row of rows) {
+    const last = runs[runs.length - 1];
+    if (last && last.color === row.color && last.endRow === row.rowIndex - 1) {
+      last.endRow = row.rowIndex;
+    } else {
+      runs.push({ startRow: row.rowIndex, endRow: row.rowIndex, color: row.color });
     }
   }
+
+  try {
+    const targetSheet = await getTargetSheet();
+    if (!targetSheet) return;
+
+    const sheetId = targetSheet.properties.sheetId;
+    await withRetry('sheets', 'batchUpdate', () => sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: runs.map(run => buildColorRequest(sheetId, run.startRow, run.endRow, run.color))
+      }
+    }));
+
+    log(`[Sheets] Colored ${rows.length} row(s) in ${runs.length} range(s)`);
+  } catch (err) {
+    error('[Sheets] Error coloring rows:', err.message);
+  }
 }
 
 export { columnMap, getColumnIndex };
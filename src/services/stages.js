@@ -0,0 +1,69 @@
+import { getSettings } from './settings.js';
+import { toDateValue } from './field-types.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Deal stages in pipeline order (config/crm.json stages.order)
+ */
+export function getStages() {
+  return getSettings().stages.order;
+}
+
+/**
+ * Find the configured stage matching a value (case-insensitive), or null
+ */
+export function normalizeStage(value) {
+  if (!value) return null;
+  const valueLower = String(value).toLowerCase().trim();
+  return getStages().find(stage => stage.toLowerCase() === valueLower) || null;
+}
+
+/**
+ * Stage for a newly added investor: the proposed one, or the first stage
+ */
+export function getInitialStage(proposedStage, changedAt = new Date()) {
+  return {
+    stage: normalizeStage(proposedStage) || getStages()[0],
+    stageChangedAt: toDateValue(changedAt)
+  };
+}
+
+/**
+ * Check whether a deal may move from one stage to another
+ *
+ * An explicit transitions entry wins. Otherwise a closed stage is final and
+ * an open one may move to any later stage. A current value that isn't a
+ * configured stage (empty, or typed by hand) may move anywhere.
+ */
+export function canTransition(from, to) {
+  const { order, closed, transitions } = getSettings().stages;
+  const current = normalizeStage(from);
+  const target = normalizeStage(to);
+
+  if (!target) return false;
+  if (!current) return true;
+  if (current === target) return false;
+
+  if (transitions[current]) return transitions[current].includes(target);
+  if (closed.includes(current)) return false;
+  return order.indexOf(target) > order.indexOf(current);
+}
+
+/**
+ * Build the stage updates for a proposed stage change, or null if the change
+ * isn't allowed (regressions like Committed -> Intro from a stray email)
+ */
+export function getStageUpdates(investor, proposedStage, changedAt = new Date()) {
+  const target = normalizeStage(proposedStage);
+  if (!target || normalizeStage(investor.stage) === target) return null;
+
+  if (!canTransition(investor.stage, target)) {
+    log(`[Stages] Ignoring ${investor.name || investor.email}: ${investor.stage} -> ${target} is not an allowed transition`);
+    return null;
+  }
+
+  return {
+    stage: target,
+    stageChangedAt: toDateValue(changedAt)
+  };
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { log, error } from '../utils/logger.js';
+
+// How many processed message IDs to remember per account
+const MAX_PROCESSED_IDS = 5000;
+
+// Backoff between retries of a failed thread: 5 min, doubling, capped at a day
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+const RETRY_MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// After this many failed attempts a thread is given up on: it stays in the
+// queue for npm run queue to show, but isn't retried again on its own
+export const MAX_RETRY_ATTEMPTS = 10;
+
+let statePath = null;
+let state = null;
+
+function readStateFile() {
+  const loaded = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+  loaded.accounts = loaded.accounts || {};
+  loaded.retryQueue = loaded.retryQueue || [];
+  return loaded;
+}
+
+/**
+ * Load (or create) the durable sync state file
+ */
+export function initState(filePath = './data/state.json') {
+  statePath = filePath;
+
+  try {
+    const exists = fs.existsSync(statePath);
+    state = readStateFile();
+    log(exists ? `[State] Loaded sync state from ${statePath}` : `[State] No sync state found, starting fresh at ${statePath}`);
+  } catch (err) {
+    error(`[State] Could not read ${statePath}, starting fresh:`, err.message);
+    state = { accounts: {}, retryQueue: [] };
+  }
+
+  return state;
+}
+
+/**
+ * Pick up changes another process made to the state file (npm run queue
+ * while the agent is running). Keeps what's in memory if the file can't be read.
+ */
+export function reloadState() {
+  if (!state) return;
+
+  try {
+    state = readStateFile();
+  } catch (err) {
+    error(`[State] Could not re-read ${statePath}, keeping the state in memory:`, err.message);
+  }
+}
+
+/**
+ * Change the state and save it, starting from what's on disk so a change
+ * made by another process in the meantime isn't overwritten
+ */
+function updateState(change) {
+  reloadState();
+  const result = change();
+  saveState();
+  return result;
+}
+
+/**
+ * Write state to disk (atomically, via a temp file)
+ */
+export function saveState() {
+  if (!state) return;
+
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * Get (and lazily create) the state entry for a monitored account
+ */
+function getAccount(email) {
+  if (!state) {
+    throw new Error('State not initialized. Call initState first.');
+  }
+
+  const key = email.toLowerCase();
+  if (!state.accounts[key]) {
+    state.accounts[key] = { historyId: null, lastSyncAt: null, processedIds: [] };
+  }
+  return state.accounts[key];
+}
+
+/**
+ * Get the last committed Gmail history ID for an account
+ */
+export function getHistoryId(email) {
+  return getAccount(email).historyId;
+}
+
+/**
+ * Get the time of the last committed sync for an account (ms since epoch)
+ */
+export function getLastSyncAt(email) {
+  return getAccount(email).lastSyncAt;
+}
+
+/**
+ * Commit a new history ID for an account once its messages have been handled
+ */
+export function setHistoryId(email, historyId, syncedAt = Date.now()) {
+  updateState(() => {
+    const account = getAccount(email);
+    account.historyId = historyId;
+    account.lastSyncAt = syncedAt;
+  });
+}
+
+/**
+ * Check whether a Gmail message has already been processed for an account
+ */
+export function isMessageProcessed(email, messageId) {
+  return getAccount(email).processedIds.includes(messageId);
+}
+
+/**
+ * Record a Gmail message as processed for an account
+ */
+export function markMessageProcessed(email, messageId) {
+  if (isMessageProcessed(email, messageId)) return;
+
+  updateState(() => {
+    const account = getAccount(email);
+    if (account.processedIds.includes(messageId)) return;
+
+    account.processedIds.push(messageId);
+    if (account.processedIds.length > MAX_PROCESSED_IDS) {
+      account.processedIds = account.processedIds.slice(-MAX_PROCESSED_IDS);
+    }
+  });
+}
+
+/**
+ * Get the failed-thread retry queue
+ * Each entry: { key, accountEmail, threadId, subject, emails, reason, lastError,
+ *               attempts, firstFailedAt, lastAttemptAt, nextAttemptAt, givenUp }
+ */
+export function getRetryQueue() {
+  if (!state) {
+    throw new Error('State not initialized. Call initState first.');
+  }
+  return state.retryQueue;
+}
+
+/**
+ * Get queued threads whose backoff has elapsed (not ones given up on)
+ */
+export function getDueRetries(now = Date.now()) {
+  return getRetryQueue().filter(entry => !entry.givenUp && entry.nextAttemptAt <= now);
+}
+
+/**
+ * Queue a thread that failed to process (or record another failed attempt)
+ * The emails are kept so the update can be replayed even though the history
+ * cursor has moved past them.
+ */
+export function queueFailedThread({ key, accountEmail, threadId, subject, emails, reason, lastError }) {
+  return updateState(() => {
+    const queue = getRetryQueue();
+    const now = Date.now();
+    let entry = queue.find(e => e.key === key);
+
+    if (!entry) {
+      entry = { key, accountEmail, threadId, subject, emails: [], attempts: 0, firstFailedAt: now };
+      queue.push(entry);
+    }
+
+    const knownIds = new Set(entry.emails.map(e => e.id));
+    entry.emails.push(...emails.filter(e => !knownIds.has(e.id)));
+    entry.subject = subject || entry.subject;
+    entry.reason = reason;
+    entry.lastError = lastError || '';
+    entry.attempts++;
+    entry.lastAttemptAt = now;
+    entry.givenUp = entry.attempts >= MAX_RETRY_ATTEMPTS;
+    entry.nextAttemptAt = entry.givenUp
+      ? null
+      : now + Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (entry.attempts - 1));
+
+    return entry;
+  });
+}
+
+/**
+ * Drop a thread from the retry queue once it has been processed
+ */
+export function removeFromRetryQueue(key) {
+  return updateState(() => {
+    const queue = getRetryQueue();
+    const index = queue.findIndex(e => e.key === key);
+    if (index < 0) return false;
+
+    queue.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Remove queued threads (all, one by key, or only those given up on with
+ * { givenUp: true }) - returns how many were removed
+ */
+export function purgeRetryQueue(key = null, { givenUp = false } = {}) {
+  return updateState(() => {
+    const before = getRetryQueue().length;
+    const remove = entry => (!key || entry.key === key) && (!givenUp || entry.givenUp);
+    state.retryQueue = state.retryQueue.filter(entry => !remove(entry));
+    return before - state.retryQueue.length;
+  });
+}
+
+/**
+ * Make queued threads (all, or one by key) due on the next sync cycle,
+ * including ones given up on (they get one more attempt)
+ */
+export function retryNow(key = null) {
+  return updateState(() => {
+    const entries = getRetryQueue().filter(e => !key || e.key === key);
+    for (const entry of entries) {
+      entry.nextAttemptAt = 0;
+      entry.givenUp = false;
+    }
+    return entries.length;
+  });
+}
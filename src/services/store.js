@@ -0,0 +1,387 @@
+import * as sheets from './sheets.js';
+import * as local from './local-store.js';
+import { createDryRunStore } from './dry-run-store.js';
+import { isDryRun } from './plan.js';
+import { setAuditSink, recordAudit } from './audit.js';
+import { parseRecord, toDateValue } from './field-types.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * CRM storage backends. Each one implements the same CrmStore interface:
+ *   init(options)            - configure the backend
+ *   ensure({ readOnly })     - connect and prepare storage (headers, IDs, files)
+ *   getFields()              - field names available on records
+ *   hasField(field)          - whether updates to a field are stored
+ *   getInvestors()           - all records, each with a stable recordId, typed
+ *   addInvestor(investor)    - add a record, returns it with its recordId
+ *   updateInvestor(inv, u)   - write fields to the record with inv.recordId,
+ *                              returns the fields actually written
+ *   sort()                   - order by meeting date, time, company
+ *   remove(investor)         - delete the record with investor.recordId
+ *   clear()                  - remove all records
+ *   refreshFormatting(invs)  - re-apply presentation (row colors); optional
+ *   getRowColor(inv, today)  - color a row would get; optional
+ *   appendAudit(entries)     - append to the change history (Audit tab / audit.jsonl)
+ *   readAudit()              - read the change history, oldest first
+ *   getMeetings()            - meeting history records (Meetings tab / local table)
+ *   upsertMeetings(records)  - add or update meeting records by eventId + recordId
+ *   getFirms()               - firm records (Firms tab / local table)
+ *   upsertFirms(records)     - add or update firm records by firmId
+ *
+ * Values passed in and out are typed (see field-types.js); backends format
+ * them for storage. In dry-run mode the selected backend is wrapped by createDryRunStore so
+ * writes land in the change plan instead.
+ */
+const BACKENDS = {
+  sheets: {
+    name: 'Google Sheets',
+    init: ({ serviceAccountPath, sheetId }) => sheets.initSheets(serviceAccountPath, sheetId),
+    ensure: sheets.ensureCRMSheet,
+    getFields: sheets.getFields,
+    hasField: sheets.hasColumn,
+    getInvestors: sheets.getInvestors,
+    addInvestor: sheets.addInvestor,
+    updateInvestor: sheets.updateInvestor,
+    sort: sheets.sortByMeetingDate,
+    remove: sheets.removeInvestor,
+    clear: sheets.clearCRMData,
+    refreshFormatting: sheets.updateRowColors,
+    getRowColor: sheets.getRowColor,
+    appendAudit: sheets.appendAuditEntries,
+    readAudit: sheets.getAuditEntries,
+    getMeetings: sheets.getMeetingRecords,
+    upsertMeetings: sheets.upsertMeetingRecords,
+    getFirms: sheets.getFirmRecords,
+    upsertFirms: sheets.upsertFirmRecords
+  },
+  local: {
+    name: 'local file',
+    init: ({ localPath }) => local.initLocalStore(localPath),
+    ensure: local.ensureLocalStore,
+    getFields: local.getFields,
+    hasField: () => true,
+    getInvestors: local.getInvestors,
+    addInvestor: local.addInvestor,
+    updateInvestor: local.updateInvestor,
+    sort: local.sortByMeetingDate,
+    remove: local.removeInvestor,
+    clear: local.clearCRMData,
+    refreshFormatting: async () => {},
+    appendAudit: local.appendAuditEntries,
+    readAudit: local.getAuditEntries,
+    getMeetings: local.getMeetingRecords,
+    upsertMeetings: local.upsertMeetingRecords,
+    getFirms: local.getFirmRecords,
+    upsertFirms: local.upsertFirmRecords
+  }
+};
+
+let store = null;
+
+// Per-cycle snapshot of the CRM: { investors, byEmail, byName }
+let cache = null;
+
+/**
+ * Select and initialize the CRM store backend ('sheets' or 'local')
+ */
+export function initStore(options) {
+  const type = options.type || 'sheets';
+  const backend = BACKENDS[type];
+
+  if (!backend) {
+    throw new Error(`Unknown CRM store "${type}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  store = isDryRun() ? createDryRunStore(backend) : backend;
+
+  log(`[Store] Using ${store.name} CRM store`);
+  store.init(options);
+  setAuditSink({ append: store.appendAudit, read: store.readAudit });
+  return store;
+}
+
+/**
+ * Serialize a record for the audit log (stored fields only)
+ */
+function snapshotRecord(investor) {
+  const fields = Object.fromEntries(
+    Object.entries(investor).filter(([field]) => field !== 'rowIndex' && !field.startsWith('_'))
+  );
+  return JSON.stringify(fields);
+}
+
+/**
+ * Get the active store backend
+ */
+function getStore() {
+  if (!store) {
+    throw new Error('CRM store not initialized. Call initStore first.');
+  }
+  return store;
+}
+
+/**
+ * Prepare the store for use (discover columns, assign record IDs, load files)
+ * Read-only commands pass { readOnly: true } so nothing is written.
+ */
+export async function ensureStore(options = {}) {
+  return getStore().ensure(options);
+}
+
+/**
+ * Get the field names available on CRM records
+ */
+export function getFields() {
+  return getStore().getFields();
+}
+
+/**
+ * Drop the in-memory snapshot so the next read loads the CRM again
+ * Call at the start of every sync cycle or command run, so edits made in
+ * the sheet between cycles are picked up.
+ */
+export function resetInvestorCache() {
+  cache = null;
+}
+
+/**
+ * Every address an investor is known by: their email, then any alternate
+ * emails (comma-separated, e.g. a personal address next to the fund one)
+ */
+export function getInvestorEmails(investor) {
+  return [investor.email, ...String(investor.alternateEmails || '').split(',')]
+    .map(email => (email || '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function indexKeys(investor) {
+  return {
+    email: getInvestorEmails(investor).join(','),
+    name: (investor.name || '').toLowerCase().trim()
+  };
+}
+
+function indexInvestor(investor) {
+  const { name } = indexKeys(investor);
+  for (const email of getInvestorEmails(investor)) {
+    if (!cache.byEmail.has(email)) cache.byEmail.set(email, investor);
+  }
+  if (name && !cache.byName.has(name)) cache.byName.set(name, investor);
+}
+
+function rebuildIndexes() {
+  cache.byEmail = new Map();
+  cache.byName = new Map();
+  cache.investors.forEach(indexInvestor);
+}
+
+/**
+ * Load the snapshot once; later reads and lookups are served from memory
+ */
+async function getCache() {
+  if (!cache) {
+    cache = { investors: await getStore().getInvestors() };
+    rebuildIndexes();
+  }
+  return cache;
+}
+
+function findCached(investor) {
+  if (!cache) return null;
+  return cache.investors.find(inv => inv === investor || (investor.recordId && inv.recordId === investor.recordId)) || null;
+}
+
+/**
+ * Get all investors
+ */
+export async function getInvestors() {
+  return (await getCache()).investors;
+}
+
+/**
+ * Find an investor by email address (their email or an alternate email),
+ * or by the full name spelled out in the address (to prevent duplicates)
+ */
+export async function findInvestorByEmail(email) {
+  const { investors, byEmail: emailIndex } = await getCache();
+  const emailLower = email.toLowerCase();
+
+  // First try to find by email
+  const byEmail = emailIndex.get(emailLower);
+  if (byEmail) return byEmail;
+
+  // Fall back to the name in the address ("john.smith@..." is John Smith).
+  // Every part of a full name must be there - a shared first name alone is
+  // someone else; npm run dedupe catches what this misses
+  const emailPrefix = emailLower.split('@')[0].replace(/[^a-z0-9]/g, '');
+  const byName = investors.find(inv => {
+    const parts = (inv.name || '').toLowerCase().split(/\s+/).map(part => part.replace(/[^a-z0-9]/g, '')).filter(Boolean);
+    return parts.length >= 2 && parts.every(part => emailPrefix.includes(part));
+  });
+  if (byName) return byName;
+
+  return null;
+}
+
+/**
+ * Find an investor by name (exact or partial match)
+ */
+export async function findInvestorByName(name) {
+  if (!name) return null;
+
+  const { investors, byName } = await getCache();
+  const nameLower = name.toLowerCase().trim();
+
+  // Exact match first
+  let match = byName.get(nameLower);
+  if (match) return match;
+
+  // Partial match (first name + last name)
+  const nameParts = nameLower.split(/\s+/);
+  if (nameParts.length >= 2) {
+    match = investors.find(inv => {
+      if (!inv.name) return false;
+      const invNameLower = inv.name.toLowerCase();
+      return nameParts.every(part => invNameLower.includes(part));
+    });
+  }
+
+  return match || null;
+}
+
+/**
+ * Add a new investor
+ */
+export async function addInvestor(investor) {
+  const record = await getStore().addInvestor(parseRecord(investor));
+  recordAudit(record, { _record: { from: '', to: snapshotRecord(record) } });
+
+  if (cache) {
+    const cached = { ...record };
+    if (cached.email) cached.email = cached.email.toLowerCase();
+    cache.investors.push(cached);
+    indexInvestor(cached);
+  }
+  return record;
+}
+
+/**
+ * Update specific fields for an investor
+ */
+export async function updateInvestor(investor, updates) {
+  updates = parseRecord(updates);
+  const written = await getStore().updateInvestor(investor, updates);
+
+  // Only what the backend wrote (a sheet without the column skips a field)
+  const changes = {};
+  for (const field of written) {
+    const value = updates[field];
+    if ((investor[field] ?? '') !== value) {
+      changes[field] = { from: investor[field] ?? '', to: value };
+    }
+  }
+  recordAudit(investor, changes);
+
+  // Keep the snapshot in step with what was written
+  const cached = findCached(investor);
+  if (cached) {
+    const before = indexKeys(cached);
+    for (const field of written) {
+      const value = updates[field];
+      cached[field] = field === 'email' ? value.toLowerCase() : value;
+    }
+    const after = indexKeys(cached);
+    if (before.email !== after.email || before.name !== after.name) rebuildIndexes();
+  }
+}
+
+/**
+ * Delete an investor
+ */
+export async function removeInvestor(investor) {
+  await getStore().remove(investor);
+  recordAudit(investor, { _record: { from: snapshotRecord(investor), to: '' } });
+
+  const cached = findCached(investor);
+  if (cached) {
+    cache.investors.splice(cache.investors.indexOf(cached), 1);
+    rebuildIndexes();
+  }
+}
+
+/**
+ * Append a dated note to an investor's existing notes
+ */
+export async function appendNotes(investor, newNote) {
+  const timestamp = toDateValue(new Date());
+  const formattedNote = `[${timestamp}] ${newNote}`;
+  const existingNotes = investor.notes || '';
+
+  const updatedNotes = existingNotes
+    ? `${existingNotes}\n\n${formattedNote}`
+    : formattedNote;
+
+  await updateInvestor(investor, { notes: updatedNotes });
+}
+
+/**
+ * Sort investors by meeting date, time, then company (to group same-firm investors)
+ */
+export async function sortByMeetingDate() {
+  await getStore().sort();
+
+  // Row positions changed - reload on the next read
+  resetInvestorCache();
+}
+
+/**
+ * Remove all investors
+ */
+export async function clearCRMData() {
+  const investors = await getInvestors();
+  await getStore().clear();
+  cache = { investors: [] };
+  rebuildIndexes();
+
+  // Keep every cleared record in the history so the clear can be undone
+  for (const investor of investors) {
+    recordAudit(investor, { _record: { from: snapshotRecord(investor), to: '' } });
+  }
+}
+
+/**
+ * Get the meeting history (every recorded meeting, per investor)
+ */
+export async function getMeetings() {
+  return getStore().getMeetings();
+}
+
+/**
+ * Add or update meeting history records
+ */
+export async function upsertMeetings(records) {
+  if (records.length === 0) return;
+  return getStore().upsertMeetings(records);
+}
+
+/**
+ * Get the firms (one per fund, linked to contacts by firmId)
+ */
+export async function getFirms() {
+  return getStore().getFirms();
+}
+
+/**
+ * Add or update firm records
+ */
+export async function upsertFirms(records) {
+  if (records.length === 0) return;
+  return getStore().upsertFirms(records);
+}
+
+/**
+ * Re-apply row presentation (colors) after changes, from the current snapshot
+ */
+export async function updateRowColors() {
+  return getStore().refreshFormatting(await getInvestors());
+}
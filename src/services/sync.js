@@ -1,44 +1,241 @@
-import { fetchNewEmails } from './gmail.js';
-import { findInvestorByEmail, findInvestorByName, addInvestor, updateInvestor, appendNotes, getInvestors, sortByMeetingDate, formatMeetingDate, formatMeetingTime, updateRowColors } from './sheets.js';
-import { analyzeEmail } from './claude.js';
-import { getNextMeetingWithAttendee, getLastMeetingWithAttendee } from './calendar.js';
-import { log, error } from '../utils/logger.js';
+import { fetchNewEmails, commitHistoryIds, getThreadEmails, getExternalParticipants } from './gmail.js';
+import { reloadState, markMessageProcessed, getDueRetries, getRetryQueue, queueFailedThread, removeFromRetryQueue } from './state.js';
+import { isDryRun } from './plan.js';
+import { startRun, setAuditContext, flushAudit } from './audit.js';
+import { resetRetryReport, printRetryReport } from '../utils/retry.js';
+import { findInvestorByEmail, findInvestorByName, addInvestor, updateInvestor, getInvestors, getFields, sortByMeetingDate, updateRowColors, resetInvestorCache, getInvestorEmails } from './store.js';
+import { toDateValue, dateValueToDate, formatFieldValue } from './field-types.js';
+import { analyzeThread } from './claude.js';
+import { getNextMeetingWithAttendee, getLastMeetingWithAttendee, refreshCalendarIndex, getUpcomingMeetings, getPastMeetings } from './calendar.js';
+import { determineWith, isInternalAddress } from './team.js';
+import { recordMeetings, getMeetingTimes } from './meetings.js';
+import { getStageUpdates, getInitialStage } from './stages.js';
+import { getRoundUpdates, printRoundSummary } from './round.js';
+import { getFirmDomain, findFirmForAddresses, isFirmAddress, resetFirmCache, syncFirms } from './firms.js';
+import { log, warn, error } from '../utils/logger.js';
+
+// Window of the calendar pass: meetings that just happened and ones coming up
+const CALENDAR_PAST_DAYS = 30;
+const CALENDAR_AHEAD_DAYS = 60;
 
 /**
- * Determine who the meeting/email is with based on recipients
+ * Group new emails by the mailbox thread they belong to
+ * Returns map of "account:threadId" -> array of new emails
  */
-function determineWith(email) {
-  const to = (email.to || '').toLowerCase();
-  const from = (email.from || '').toLowerCase();
+function groupEmailsByThread(emails) {
+  const byThread = new Map();
 
-  const hasAvi = to.includes('avi@') || from.includes('avi@');
-  const hasYuval = to.includes('yuval@') || from.includes('yuval@');
+  for (const email of emails) {
+    const key = `${email.accountEmail}:${email.threadId}`;
+    if (!byThread.has(key)) {
+      byThread.set(key, []);
+    }
+    byThread.get(key).push(email);
+  }
+
+  return byThread;
+}
+
+/**
+ * Collect the external participants (sender, To, Cc) across a thread, newest first
+ */
+function getThreadParticipants(threadEmails) {
+  const participants = new Map();
+
+  for (const email of [...threadEmails].reverse()) {
+    for (const participant of getExternalParticipants(email)) {
+      if (!participants.has(participant.email)) {
+        participants.set(participant.email, participant);
+      }
+    }
+  }
+
+  return [...participants.values()];
+}
+
+/**
+ * Pick the primary external contact of an email: the sender for inbound mail,
+ * the first external recipient for mail we sent
+ */
+function getPrimaryContact(email, participants) {
+  const external = getExternalParticipants(email);
+
+  if (external.length > 0) return external[0];
+  return participants[0] || null;
+}
+
+/**
+ * Look up calendar meetings with a contact and merge them with the email analysis
+ */
+async function getMeetingInfo(contactEmail, analysis) {
+  const info = {
+    meetingStatus: analysis.meetingStatus,
+    meetingDate: analysis.meetingDate,
+    meetingTime: '',
+    localTime: '',
+    calendarLink: '',
+    meetLink: '',
+    needsResponse: false
+  };
+
+  // Served from the cycle's calendar index; an unreadable calendar throws so
+  // the thread is queued for retry instead of written without meeting info
+  const nextMeeting = await getNextMeetingWithAttendee(contactEmail);
+  const lastMeeting = await getLastMeetingWithAttendee(contactEmail);
+
+  if (nextMeeting) {
+    info.meetingStatus = 'Scheduled';
+    Object.assign(info, getMeetingTimes(nextMeeting));
+    info.calendarLink = nextMeeting.calendarLink || '';
+    info.meetLink = nextMeeting.meetLink || '';
+    info.needsResponse = nextMeeting.needsResponse || false;
+    log(`[Sync] Found upcoming meeting with ${contactEmail} on ${info.meetingDate} at ${info.meetingTime}${info.needsResponse ? ' (needs response)' : ''}`);
+  } else if (lastMeeting && !info.meetingStatus) {
+    info.meetingStatus = 'Completed';
+    Object.assign(info, getMeetingTimes(lastMeeting));
+    info.calendarLink = lastMeeting.calendarLink || '';
+    info.meetLink = lastMeeting.meetLink || '';
+  }
+
+  info.meetingDate = info.meetingDate || '';
+
+  return info;
+}
+
+/**
+ * Which CRM match a thread's analysis is about: the one Claude named, else
+ * the latest message's primary contact, else the first match
+ */
+function getAnalysisSubject(matches, analysis, latestEmail, participants) {
+  const nameLower = (analysis.investorName || '').toLowerCase().trim();
+  const primary = getPrimaryContact(latestEmail, participants);
+
+  return matches.find(m => nameLower && m.investor.name?.toLowerCase().trim() === nameLower)
+    || matches.find(m => primary && m.contactEmail.toLowerCase() === primary.email.toLowerCase())
+    || matches[0];
+}
+
+/**
+ * Update an existing investor row from a thread analysis
+ *
+ * The analysis describes one investor, so only its subject gets the
+ * company, meeting status and date, stage, round fields and notes from it;
+ * other CRM contacts on the thread get their last contact refreshed and
+ * meeting fields from their own calendar events only.
+ */
+async function updateExistingInvestor(investor, contactEmail, analysis, lastContact, meetingWith, isSubject = true) {
+  const meeting = await getMeetingInfo(investor.email || contactEmail, isSubject ? analysis : {});
+
+  const updates = {
+    lastContact
+  };
+
+  // Fill in email if missing
+  if (!investor.email) updates.email = contactEmail;
+
+  // Update meeting status if changed
+  if (meeting.meetingStatus && meeting.meetingStatus !== investor.meetingStatus) {
+    updates.meetingStatus = meeting.meetingStatus;
+  }
+
+  // Update meeting date and time if provided
+  if (meeting.meetingDate) updates.meetingDate = meeting.meetingDate;
+  if (meeting.meetingTime) {
+    updates.meetingTime = meeting.meetingTime;
+    updates.localTime = meeting.localTime;
+  }
+
+  // Update "with" field
+  updates.with = meetingWith;
+
+  // Update calendar/meet links if available
+  if (meeting.calendarLink) updates.calendarLink = meeting.calendarLink;
+  if (meeting.meetLink) updates.meetLink = meeting.meetLink;
+
+  // Update needs response status
+  updates.needsResponse = Boolean(meeting.needsResponse);
+
+  // Update company if we didn't have it
+  if (isSubject && analysis.company && !investor.company) {
+    updates.company = analysis.company;
+  }
 
-  if (hasAvi && hasYuval) return 'Both';
-  if (hasAvi) return 'Avi';
-  if (hasYuval) return 'Yuval';
-  return 'Both'; // Default
+  if (isSubject) {
+    // Move the deal forward if the thread shows a new stage
+    Object.assign(updates, getStageUpdates(investor, analysis.stage));
+
+    // Check size, commitment and terms mentioned in the thread
+    Object.assign(updates, getRoundUpdates(investor, analysis));
+  }
+
+  await updateInvestor(investor, updates);
+
+  // Append notes (bullet points only, no timestamp header)
+  if (isSubject && analysis.noteSummary) {
+    const existingNotes = investor.notes || '';
+    const updatedNotes = existingNotes
+      ? `${existingNotes}\n${analysis.noteSummary}`
+      : analysis.noteSummary;
+    await updateInvestor(investor, { notes: updatedNotes });
+  }
+
+  log(`[Sync] Updated investor: ${investor.name}`);
 }
 
 /**
- * Process a single email and update CRM accordingly
+ * Process a thread with new emails and update CRM accordingly
+ * Claude sees the whole conversation, not just the newest message, and every
+ * external participant (inbound or outbound) is matched against the CRM
  */
-export async function processEmail(email) {
-  log(`\n[Sync] Processing email: "${email.subject}" from ${email.from}`);
+export async function processThread(newEmails) {
+  newEmails.sort((a, b) => new Date(a.date) - new Date(b.date));
+  const email = newEmails[newEmails.length - 1];
+
+  // Pull the full conversation so the analysis has context
+  let threadEmails = await getThreadEmails(email.accountEmail, email.threadId);
+  if (threadEmails.length === 0) {
+    threadEmails = newEmails;
+  }
+  threadEmails.sort((a, b) => new Date(a.date) - new Date(b.date));
+  const latestEmail = threadEmails[threadEmails.length - 1];
 
-  // Find if investor already exists
-  const existingInvestor = await findInvestorByEmail(email.from);
+  log(`\n[Sync] Processing thread: "${email.subject}" from ${email.from} (${threadEmails.length} message(s), ${newEmails.length} new)`);
 
-  // Analyze email with Claude
-  const analysis = await analyzeEmail(email, existingInvestor);
+  // Internal-only threads never reach Claude
+  const participants = getThreadParticipants(threadEmails);
+  if (participants.length === 0) {
+    log('[Sync] No external participants in thread (internal mail), skipping');
+    return { action: 'skipped', reason: 'internal_only' };
+  }
 
-  if (!analysis) {
-    log('[Sync] Could not analyze email, skipping');
-    return { action: 'skipped', reason: 'analysis_failed' };
+  // Find every participant that is already in the CRM
+  const matches = [];
+  for (const participant of participants) {
+    const investor = await findInvestorByEmail(participant.email);
+    if (investor && !matches.some(m => m.investor.recordId === investor.recordId)) {
+      matches.push({ investor, contactEmail: participant.email });
+    }
+  }
+
+  // A new sender at a known firm's domain belongs to that firm
+  const knownFirm = matches.length === 0
+    ? await findFirmForAddresses(participants.map(p => p.email))
+    : null;
+  if (knownFirm) {
+    log(`[Sync] Sender is at a known firm: ${knownFirm.name}`);
+  }
+
+  // Analyze the whole thread with Claude
+  let analysis;
+  try {
+    analysis = await analyzeThread(threadEmails, matches[0]?.investor || null, knownFirm);
+  } catch (err) {
+    warn(`[Sync] Could not analyze thread, skipping: ${err.message}`);
+    return { action: 'skipped', reason: 'analysis_failed', detail: err.message };
   }
 
   if (!analysis.isRelevant) {
-    log('[Sync] Email not relevant for CRM, skipping');
+    log('[Sync] Thread not relevant for CRM, skipping');
     return { action: 'skipped', reason: 'not_relevant' };
   }
 
@@ -48,145 +245,203 @@ export async function processEmail(email) {
     return { action: 'skipped', reason: 'not_vc_investor' };
   }
 
-  const today = new Date().toISOString().split('T')[0];
+  // Last touch in either direction counts as last contact
+  const lastContact = toDateValue(latestEmail.date);
 
-  // Check calendar for this contact
-  const contactEmail = existingInvestor ? existingInvestor.email : email.from;
-  let meetingStatus = analysis.meetingStatus;
-  let meetingDate = analysis.meetingDate;
-  let meetingTime = '';
-  let calendarLink = '';
-  let meetLink = '';
-  let needsResponse = false;
+  // Determine who on our team the thread is with
+  const meetingWith = determineWith(threadEmails);
 
-  try {
-    const nextMeeting = await getNextMeetingWithAttendee(contactEmail);
-    const lastMeeting = await getLastMeetingWithAttendee(contactEmail);
-
-    if (nextMeeting) {
-      meetingStatus = 'Scheduled';
-      meetingDate = nextMeeting.start.split('T')[0];
-      meetingTime = formatMeetingTime(nextMeeting.start);
-      calendarLink = nextMeeting.calendarLink || '';
-      meetLink = nextMeeting.meetLink || '';
-      needsResponse = nextMeeting.needsResponse || false;
-      log(`[Sync] Found upcoming meeting on ${meetingDate} at ${meetingTime}${needsResponse ? ' (needs response)' : ''}`);
-    } else if (lastMeeting && !meetingStatus) {
-      meetingStatus = 'Completed';
-      meetingDate = lastMeeting.start.split('T')[0];
-      meetingTime = formatMeetingTime(lastMeeting.start);
-      calendarLink = lastMeeting.calendarLink || '';
-      meetLink = lastMeeting.meetLink || '';
+  if (matches.length > 0) {
+    const subject = getAnalysisSubject(matches, analysis, latestEmail, participants);
+    for (const match of matches) {
+      const { investor, contactEmail } = match;
+      await updateExistingInvestor(investor, contactEmail, analysis, lastContact, meetingWith, match === subject);
     }
-  } catch (calError) {
-    log(`[Sync] Calendar check skipped: ${calError.message}`);
-  }
 
-  // Determine who the meeting is with
-  const meetingWith = determineWith(email);
+    const names = matches.map(m => m.investor.name).join(', ');
+    return { action: 'updated', investor: names };
+  }
 
-  // Format meeting date as "11 Jan 2025"
-  const formattedMeetingDate = meetingDate ? formatMeetingDate(meetingDate) : '';
+  // No participant is in the CRM yet - work out which one the analysis is about
+  const nameLower = (analysis.investorName || '').toLowerCase().trim();
+  const contact = participants.find(p => nameLower && p.name?.toLowerCase().trim() === nameLower)
+    || (knownFirm && participants.find(p => isFirmAddress(knownFirm, p.email)))
+    || getPrimaryContact(latestEmail, participants);
+  const investorName = analysis.investorName || contact.name;
+
+  // Double-check for duplicates by name before adding
+  const existingByName = await findInvestorByName(investorName);
+
+  if (existingByName) {
+    // Found by name - update instead of add
+    log(`[Sync] Found existing investor by name: ${existingByName.name}`);
+    await updateExistingInvestor(existingByName, contact.email, analysis, lastContact, meetingWith);
+    return { action: 'updated', investor: existingByName.name };
+  }
 
-  if (existingInvestor) {
-    // Update existing investor
-    const updates = {
-      lastContact: today
-    };
+  const meeting = await getMeetingInfo(contact.email, analysis);
+
+  // Add new investor
+  await addInvestor({
+    name: investorName,
+    email: contact.email,
+    company: knownFirm?.name || analysis.company || '',
+    firmId: knownFirm?.firmId || '',
+    meetingStatus: meeting.meetingStatus || 'Follow-up',
+    meetingDate: meeting.meetingDate,
+    meetingTime: meeting.meetingTime || '',
+    localTime: meeting.localTime || '',
+    lastContact,
+    with: meetingWith,
+    calendarLink: meeting.calendarLink || '',
+    meetLink: meeting.meetLink || '',
+    needsResponse: Boolean(meeting.needsResponse),
+    ...getInitialStage(analysis.stage),
+    ...getRoundUpdates({}, analysis),
+    notes: analysis.noteSummary || `- Initial contact via email`
+  });
+
+  log(`[Sync] Added new investor: ${investorName}`);
+  return { action: 'added', investor: investorName };
+}
 
-    // Update meeting status if changed
-    if (meetingStatus && meetingStatus !== existingInvestor.meetingStatus) {
-      updates.meetingStatus = meetingStatus;
-    }
+/**
+ * Match calendar meetings to investors: investors who attend directly, or,
+ * when no known investor attends, every investor at an attendee's firm domain
+ * Returns map of recordId -> { investor, meetings }
+ */
+function matchMeetingsToInvestors(meetings, investors) {
+  const byEmail = new Map(investors.flatMap(inv => getInvestorEmails(inv).map(email => [email, inv])));
+  const byDomain = new Map();
+  for (const inv of investors) {
+    const domain = getFirmDomain(inv.email);
+    if (!domain) continue;
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(inv);
+  }
 
-    // Update meeting date and time if provided
-    if (formattedMeetingDate) {
-      updates.meetingDate = formattedMeetingDate;
-    }
-    if (meetingTime) {
-      updates.meetingTime = meetingTime;
+  const matches = new Map();
+  const attach = (investor, meeting) => {
+    if (!matches.has(investor.recordId)) {
+      matches.set(investor.recordId, { investor, meetings: [] });
     }
+    matches.get(investor.recordId).meetings.push(meeting);
+  };
 
-    // Update "with" field
-    updates.with = meetingWith;
+  for (const meeting of meetings) {
+    if (meeting.status === 'cancelled') continue;
 
-    // Update calendar/meet links if available
-    if (calendarLink) updates.calendarLink = calendarLink;
-    if (meetLink) updates.meetLink = meetLink;
+    const external = meeting.attendees.filter(a => a.email && !isInternalAddress(a.email));
+    const direct = external.map(a => byEmail.get(a.email)).filter(Boolean);
 
-    // Update needs response status
-    updates.needsResponse = needsResponse ? 'Yes' : 'No';
+    if (direct.length > 0) {
+      direct.forEach(investor => attach(investor, meeting));
+      continue;
+    }
 
-    // Update company if we didn't have it
-    if (analysis.company && !existingInvestor.company) {
-      updates.company = analysis.company;
+    const domains = new Set(external.map(a => getFirmDomain(a.email)).filter(Boolean));
+    for (const domain of domains) {
+      (byDomain.get(domain) || []).forEach(investor => attach(investor, meeting));
     }
+  }
 
-    await updateInvestor(existingInvestor.rowIndex, updates);
+  return matches;
+}
 
-    // Append notes (bullet points only, no timestamp header)
-    if (analysis.noteSummary) {
-      const existingNotes = existingInvestor.notes || '';
-      const updatedNotes = existingNotes
-        ? `${existingNotes}\n${analysis.noteSummary}`
-        : analysis.noteSummary;
-      await updateInvestor(existingInvestor.rowIndex, { notes: updatedNotes });
-    }
+/**
+ * Work out the meeting fields an investor should have from their calendar meetings
+ * - An upcoming meeting wins: Scheduled, with its date, time, links and response state
+ * - Otherwise a Scheduled row whose meeting has happened flips to Completed
+ */
+function getCalendarUpdates(investor, meetings) {
+  const upcoming = meetings.filter(m => !m.isPast).sort((a, b) => new Date(a.start) - new Date(b.start))[0];
+  const last = meetings.filter(m => m.isPast).sort((a, b) => new Date(b.start) - new Date(a.start))[0];
+
+  if (upcoming) {
+    return {
+      meeting: upcoming,
+      updates: {
+        meetingStatus: 'Scheduled',
+        ...getMeetingTimes(upcoming),
+        calendarLink: upcoming.calendarLink,
+        meetLink: upcoming.meetLink,
+        needsResponse: Boolean(upcoming.needsResponse)
+      }
+    };
+  }
 
-    log(`[Sync] Updated investor: ${existingInvestor.name}`);
-    return { action: 'updated', investor: existingInvestor.name };
-  } else {
-    // Double-check for duplicates by name before adding
-    const investorName = analysis.investorName || email.fromName;
-    const existingByName = await findInvestorByName(investorName);
-
-    if (existingByName) {
-      // Found by name - update instead of add
-      log(`[Sync] Found existing investor by name: ${existingByName.name}`);
-      const updates = {
-        lastContact: today,
-        email: existingByName.email || email.from // Update email if missing
-      };
-      if (meetingStatus) updates.meetingStatus = meetingStatus;
-      if (formattedMeetingDate) updates.meetingDate = formattedMeetingDate;
-      if (meetingTime) updates.meetingTime = meetingTime;
-      if (calendarLink) updates.calendarLink = calendarLink;
-      if (meetLink) updates.meetLink = meetLink;
-      updates.with = meetingWith;
-      updates.needsResponse = needsResponse ? 'Yes' : 'No';
-
-      await updateInvestor(existingByName.rowIndex, updates);
-
-      if (analysis.noteSummary) {
-        const existingNotes = existingByName.notes || '';
-        const updatedNotes = existingNotes
-          ? `${existingNotes}\n${analysis.noteSummary}`
-          : analysis.noteSummary;
-        await updateInvestor(existingByName.rowIndex, { notes: updatedNotes });
+  if (last && investor.meetingStatus === 'Scheduled') {
+    // Don't complete a meeting the CRM has on a later date than the calendar does
+    const scheduledFor = dateValueToDate(investor.meetingDate);
+    const lastDay = dateValueToDate(getMeetingTimes(last).meetingDate);
+    if (scheduledFor && lastDay && scheduledFor > lastDay) return null;
+
+    return {
+      meeting: last,
+      updates: {
+        meetingStatus: 'Completed',
+        ...getMeetingTimes(last),
+        calendarLink: last.calendarLink,
+        meetLink: last.meetLink,
+        needsResponse: false
       }
+    };
+  }
 
-      return { action: 'updated', investor: existingByName.name };
+  return null;
+}
+
+/**
+ * Calendar pass: bring meeting fields up to date for known investors from
+ * their calendar events, whether or not they have emailed - catches invites
+ * from Calendly or intro partners, and meetings that have since happened
+ * Returns the number of investors updated
+ */
+async function syncMeetingsFromCalendar() {
+  let meetings;
+  try {
+    meetings = [...await getPastMeetings(CALENDAR_PAST_DAYS), ...await getUpcomingMeetings(CALENDAR_AHEAD_DAYS)];
+  } catch (err) {
+    warn(`[Sync] Calendar pass skipped: ${err.message}`);
+    return 0;
+  }
+
+  const fields = new Set(getFields());
+  const investors = await getInvestors();
+  const matches = matchMeetingsToInvestors(meetings, investors);
+  let updated = 0;
+
+  for (const { investor, meetings: investorMeetings } of matches.values()) {
+    const result = getCalendarUpdates(investor, investorMeetings);
+    if (!result) continue;
+
+    // Only write columns the CRM has and values that actually changed
+    const updates = Object.fromEntries(
+      Object.entries(result.updates).filter(([field, value]) => fields.has(field) && (investor[field] ?? '') !== (value ?? ''))
+    );
+    if (Object.keys(updates).length === 0) continue;
+
+    try {
+      setAuditContext(`calendar:${result.meeting.id}`);
+      await updateInvestor(investor, updates);
+      log(`[Sync] Calendar: ${investor.name || investor.email} -> ${Object.keys(updates).join(', ')} ("${result.meeting.title}")`);
+      updated++;
+    } catch (err) {
+      error(`[Sync] Calendar update failed for ${investor.name || investor.email}:`, err.message);
     }
+  }
 
-    // Add new investor
-    await addInvestor({
-      name: investorName,
-      email: email.from,
-      company: analysis.company || '',
-      meetingStatus: meetingStatus || 'Follow-up',
-      meetingDate: formattedMeetingDate,
-      meetingTime: meetingTime || '',
-      lastContact: today,
-      with: meetingWith,
-      calendarLink: calendarLink || '',
-      meetLink: meetLink || '',
-      needsResponse: needsResponse ? 'Yes' : 'No',
-      notes: analysis.noteSummary || `- Initial contact via email`
+  // Keep every meeting in the history, not just the one the row shows
+  try {
+    await recordMeetings([...matches.values()], {
+      scope: new Set(investors.map(inv => inv.recordId)),
+      aheadDays: CALENDAR_AHEAD_DAYS
     });
-
-    log(`[Sync] Added new investor: ${investorName}`);
-    return { action: 'added', investor: investorName };
+  } catch (err) {
+    error('[Sync] Could not record meeting history:', err.message);
   }
+
+  return updated;
 }
 
 /**
@@ -197,50 +452,143 @@ export async function runSyncCycle() {
   log(`[Sync] Starting sync cycle at ${new Date().toISOString()}`);
   log('========================================');
 
+  startRun('sync');
+  resetRetryReport();
+  resetInvestorCache();
+  resetFirmCache();
+
   try {
+    // One calendar listing per cycle; meeting lookups are answered from it
+    await refreshCalendarIndex();
+
     // Fetch new emails
     const emails = await fetchNewEmails();
     log(`[Sync] Found ${emails.length} new email(s)`);
 
-    if (emails.length === 0) {
+    // npm run queue may have changed the queue since the last cycle
+    reloadState();
+    const dueRetries = getDueRetries();
+    if (dueRetries.length > 0) {
+      log(`[Sync] Retrying ${dueRetries.length} previously failed thread(s)`);
+    }
+
+    if (emails.length === 0 && dueRetries.length === 0) {
       log('[Sync] No new emails to process');
-      return { processed: 0, added: 0, updated: 0, skipped: 0 };
     }
 
     const results = {
       processed: 0,
       added: 0,
       updated: 0,
-      skipped: 0
+      skipped: 0,
+      retried: 0,
+      calendarUpdated: 0,
+      firmsUpdated: 0,
+      failures: []
     };
 
-    // Process each email
-    for (const email of emails) {
+    // Process each thread once, with its full conversation
+    const byThread = groupEmailsByThread(emails);
+    if (emails.length > 0) {
+      log(`[Sync] ${emails.length} email(s) across ${byThread.size} thread(s)`);
+    }
+
+    // Fold due retries in, plus queued threads that just got new mail
+    const queuedKeys = new Set();
+    for (const entry of getRetryQueue()) {
+      if (!dueRetries.includes(entry) && !byThread.has(entry.key)) continue;
+
+      const threadEmails = byThread.get(entry.key) || [];
+      const knownIds = new Set(threadEmails.map(e => e.id));
+      byThread.set(entry.key, [...threadEmails, ...entry.emails.filter(e => !knownIds.has(e.id))]);
+      queuedKeys.add(entry.key);
+    }
+
+    for (const [key, threadNewEmails] of byThread) {
+      const isRetry = queuedKeys.has(key);
+      let failure = null;
+
       try {
-        const result = await processEmail(email);
-        results.processed++;
+        setAuditContext(`gmail:${threadNewEmails.map(e => e.id).join(',')}`);
+        const result = await processThread(threadNewEmails);
+        results.processed += threadNewEmails.length;
 
         if (result.action === 'added') results.added++;
         else if (result.action === 'updated') results.updated++;
         else if (result.action === 'skipped') results.skipped++;
+
+        if (result.reason === 'analysis_failed') {
+          failure = { reason: result.reason, detail: result.detail };
+        }
       } catch (err) {
-        error(`[Sync] Error processing email "${email.subject}":`, err.message);
+        error(`[Sync] Error processing thread "${threadNewEmails[0].subject}":`, err.message);
         results.skipped++;
+        failure = { reason: 'error', detail: err.message };
+      }
+
+      if (failure) {
+        results.failures.push({ subject: threadNewEmails[0].subject, ...failure });
+      } else if (isRetry) {
+        results.retried++;
+      }
+
+      // A dry run leaves the queue and processed IDs alone
+      if (isDryRun()) continue;
+
+      // Failed threads go to the retry queue, so marking them processed loses nothing
+      if (failure) {
+        const entry = queueFailedThread({
+          key,
+          accountEmail: threadNewEmails[0].accountEmail,
+          threadId: threadNewEmails[0].threadId,
+          subject: threadNewEmails[0].subject,
+          emails: threadNewEmails,
+          reason: failure.reason,
+          lastError: failure.detail
+        });
+        if (entry.givenUp) {
+          warn(`[Sync] Giving up after ${entry.attempts} attempts - see npm run queue`);
+        } else {
+          log(`[Sync] Queued for retry (attempt ${entry.attempts}, next at ${new Date(entry.nextAttemptAt).toISOString()})`);
+        }
+      } else if (isRetry) {
+        removeFromRetryQueue(key);
+      }
+
+      for (const email of threadNewEmails) {
+        markMessageProcessed(email.accountEmail, email.id);
       }
     }
 
+    // Every fetched email has been handled - advance the history cursors
+    // (a dry run leaves them alone so the real run sees the same emails)
+    if (!isDryRun()) commitHistoryIds();
+
+    // Meetings that never came with an email, and meetings that have happened
+    results.calendarUpdated = await syncMeetingsFromCalendar();
+
+    // Link contacts to their firms and roll up firm stage, contact and meetings
+    results.firmsUpdated = await syncFirms();
+
     // Sort by meeting date after updates
-    if (results.added > 0 || results.updated > 0) {
+    if (results.added > 0 || results.updated > 0 || results.calendarUpdated > 0) {
       await sortByMeetingDate();
       // Color upcoming meetings green
       await updateRowColors();
     }
 
-    log('\n[Sync] Cycle complete:', results);
+    for (const failure of results.failures) {
+      warn(`[Sync] Failed: "${failure.subject}" (${failure.reason}): ${failure.detail}`);
+    }
+
+    log('\n[Sync] Cycle complete:', { ...results, failures: results.failures.length });
     return results;
   } catch (err) {
     error('[Sync] Sync cycle failed:', err.message);
     throw err;
+  } finally {
+    await flushAudit();
+    printRetryReport('[Sync]');
   }
 }
 
@@ -281,8 +629,12 @@ export async function printCRMStatus() {
     log(`${inv.name} (${inv.email})`);
     log(`  Company: ${inv.company || 'N/A'}`);
     log(`  Status: ${inv.meetingStatus || 'N/A'}`);
-    log(`  Meeting Date: ${inv.meetingDate || 'N/A'}`);
-    log(`  Last Contact: ${inv.lastContact || 'N/A'}`);
+    log(`  Meeting Date: ${formatFieldValue('meetingDate', inv.meetingDate) || 'N/A'}`);
+    log(`  Stage: ${inv.stage || 'N/A'}`);
+    if (inv.commitmentAmount) log(`  Commitment: ${formatFieldValue('commitmentAmount', inv.commitmentAmount)} (${inv.commitmentStatus || 'Soft-circled'})`);
+    log(`  Last Contact: ${formatFieldValue('lastContact', inv.lastContact) || 'N/A'}`);
     log('');
   }
+
+  printRoundSummary(investors);
 }
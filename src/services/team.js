@@ -0,0 +1,177 @@
+import fs from 'fs';
+import { log, warn } from '../utils/logger.js';
+import { isValidTimeZone } from '../utils/time-zones.js';
+
+// Free-mail domains never count as internal when deriving a default team
+const PUBLIC_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com'];
+
+// Larger teams get no member-group labels in the "With" dropdown (a team of
+// 6 already has 56); a thread with several members gets the all-hands label
+const MAX_COMBINED_TEAM_SIZE = 6;
+
+let team = null;
+
+/**
+ * Load the team configuration (members, addresses, internal domains, company name)
+ *
+ * A member's optional timeZone is used for the meetings only they (or
+ * members in the same timezone) attend.
+ * Falls back to a team derived from the monitored mailboxes when no config
+ * file exists: one member per address, named after its local part.
+ */
+export function loadTeam(configPath = './config/team.json', monitoredEmails = []) {
+  let fileConfig = {};
+
+  if (fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    log(`[Team] Loaded team config from ${configPath}`);
+  } else {
+    warn(`[Team] No team config at ${configPath}, deriving team from monitored emails`);
+  }
+
+  const members = (fileConfig.members || monitoredEmails.map(deriveMember)).map(member => ({
+    name: member.name,
+    emails: (member.emails || []).map(e => e.toLowerCase()),
+    aliases: member.aliases || [],
+    timeZone: member.timeZone || null
+  }));
+
+  for (const member of members.filter(m => m.timeZone && !isValidTimeZone(m.timeZone))) {
+    warn(`[Team] Unknown timeZone "${member.timeZone}" for ${member.name}, using the CRM timezone`);
+    member.timeZone = null;
+  }
+
+  // Monitored mailboxes are always internal, even if not listed under a member
+  const memberEmails = new Set(members.flatMap(m => m.emails));
+  const extraEmails = monitoredEmails.map(e => e.toLowerCase()).filter(e => !memberEmails.has(e));
+
+  const internalDomains = fileConfig.internalDomains
+    || [...new Set(monitoredEmails.map(e => e.split('@')[1]?.toLowerCase()).filter(d => d && !PUBLIC_DOMAINS.includes(d)))];
+
+  team = {
+    companyName: fileConfig.companyName || process.env.COMPANY_NAME || 'our company',
+    internalDomains: internalDomains.map(d => d.toLowerCase()),
+    allLabel: fileConfig.allLabel || (members.length === 2 ? 'Both' : 'All'),
+    members,
+    internalEmails: [...memberEmails, ...extraEmails]
+  };
+
+  log(`[Team] ${team.companyName}: ${members.map(m => m.name).join(', ')} (internal domains: ${team.internalDomains.join(', ') || 'none'})`);
+  return team;
+}
+
+/**
+ * Build a default member from a monitored address ("avi@x.com" -> "Avi")
+ */
+function deriveMember(email) {
+  const localPart = email.split('@')[0];
+  return {
+    name: localPart.charAt(0).toUpperCase() + localPart.slice(1),
+    emails: [email]
+  };
+}
+
+/**
+ * Get the loaded team configuration
+ */
+export function getTeam() {
+  if (!team) {
+    throw new Error('Team not loaded. Call loadTeam first.');
+  }
+  return team;
+}
+
+/**
+ * Check whether an address belongs to our team (member address or internal domain)
+ */
+export function isInternalAddress(address) {
+  if (!address) return false;
+
+  const { internalEmails, internalDomains } = getTeam();
+  const addressLower = address.toLowerCase();
+  const domain = addressLower.split('@')[1];
+
+  return internalEmails.includes(addressLower) || internalDomains.includes(domain);
+}
+
+/**
+ * Check whether a domain is a free-mail provider (so it can't identify a firm)
+ */
+export function isPublicDomain(domain) {
+  return PUBLIC_DOMAINS.includes((domain || '').toLowerCase());
+}
+
+/**
+ * Every group of 2 or more members short of the whole team, in team order
+ * ("Avi & Yuval")
+ */
+function getMemberCombinations(names) {
+  const combinations = [];
+  for (let mask = 1; mask < 2 ** names.length - 1; mask++) {
+    const group = names.filter((_, i) => mask & (1 << i));
+    if (group.length >= 2) combinations.push(group);
+  }
+  return combinations
+    .sort((a, b) => a.length - b.length)
+    .map(group => group.join(' & '));
+}
+
+/**
+ * Labels the "With" column can take: each member, each group of members
+ * (for teams of up to MAX_COMBINED_TEAM_SIZE), plus the all-hands label
+ */
+export function getWithOptions() {
+  const { members, allLabel } = getTeam();
+  const names = members.map(m => m.name);
+  const combinations = names.length <= MAX_COMBINED_TEAM_SIZE ? getMemberCombinations(names) : [];
+  return [...names, ...combinations, allLabel];
+}
+
+/**
+ * Determine who the meeting/email is with based on senders and recipients
+ */
+export function determineWith(emails) {
+  const { members, allLabel } = getTeam();
+  const addresses = new Set();
+
+  for (const email of emails) {
+    if (email.from) addresses.add(email.from.toLowerCase());
+    for (const recipient of email.recipients || []) {
+      addresses.add(recipient.email);
+    }
+  }
+
+  const involved = getMemberNames([...addresses]);
+
+  if (involved.length === 0 || involved.length === members.length) return allLabel;
+
+  // Only labels the column's dropdown (and Claude's tool) accept
+  const label = involved.join(' & ');
+  return getWithOptions().includes(label) ? label : allLabel;
+}
+
+/**
+ * Names of the team members behind a set of addresses (e.g. meeting attendees)
+ */
+export function getMemberNames(addresses) {
+  return getMembers(addresses).map(m => m.name);
+}
+
+/**
+ * Team members behind a set of addresses (e.g. meeting attendees)
+ */
+export function getMembers(addresses) {
+  const { members } = getTeam();
+  const addressSet = new Set(addresses.map(a => (a || '').toLowerCase()));
+  return members.filter(m => m.emails.some(e => addressSet.has(e)));
+}
+
+/**
+ * Describe the team for Claude prompts ("Avi (aka Avi Srivastava), Yuval")
+ */
+export function describeTeam() {
+  const { members } = getTeam();
+  return members
+    .map(m => (m.aliases.length > 0 ? `${m.name} (aka ${m.aliases.join(', ')})` : m.name))
+    .join(', ');
+}
@@ -0,0 +1,36 @@
+/**
+ * Amount parsing and formatting for CRM cells ("$1.5M", "$250K")
+ */
+
+const SUFFIXES = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9 };
+
+// The whole value must be one amount: an optional currency sign or code, a
+// number and an optional suffix ("$1.5M", "USD 500k", "250,000 EUR")
+const AMOUNT_PATTERN = /^(?:[$€£]|us\$|usd|eur|gbp)?(\d+(?:\.\d+)?)(k|mm|m|bn|b)?(?:usd|eur|gbp)?$/;
+
+/**
+ * Parse an amount cell ("$1.5M", "500k", "1,000,000", 250000) to a number, or
+ * null for anything that isn't just an amount ("Series A 2024", "1.5x pro-rata")
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  const match = String(value).toLowerCase().replace(/[,\s]/g, '').match(AMOUNT_PATTERN);
+  if (!match) return null;
+
+  return parseFloat(match[1]) * (SUFFIXES[match[2]] || 1);
+}
+
+/**
+ * Format an amount as "$1.5M" / "$250K" / "$800"
+ */
+export function formatAmount(amount, currency = '$') {
+  if (amount === null || amount === undefined || Number.isNaN(amount)) return '';
+
+  const round = n => String(Math.round(n * 100) / 100);
+  if (Math.abs(amount) >= 1e9) return `${currency}${round(amount / 1e9)}B`;
+  if (Math.abs(amount) >= 1e6) return `${currency}${round(amount / 1e6)}M`;
+  if (Math.abs(amount) >= 1e3) return `${currency}${round(amount / 1e3)}K`;
+  return `${currency}${round(amount)}`;
+}
@@ -0,0 +1,158 @@
+import { log, warn } from './logger.js';
+
+// Requests per second (refill) and burst size per API, kept under the default quotas:
+// Gmail 250 units/s (messages.get = 5), Calendar ~10/s, Sheets 60/min, Anthropic tier 1 50/min
+const RATE_LIMITS = {
+  gmail: { perSecond: 40, burst: 40 },
+  calendar: { perSecond: 5, burst: 10 },
+  sheets: { perSecond: 1, burst: 10 },
+  claude: { perSecond: 50 / 60, burst: 5 }
+};
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+
+const buckets = new Map();
+let report = {};
+
+/**
+ * Token bucket for one API - take() resolves once a request may go out
+ */
+function getBucket(api) {
+  if (!buckets.has(api)) {
+    const { perSecond, burst } = RATE_LIMITS[api] || { perSecond: 10, burst: 10 };
+    buckets.set(api, { perSecond, burst, tokens: burst, updatedAt: Date.now(), queue: Promise.resolve() });
+  }
+  return buckets.get(api);
+}
+
+async function take(api) {
+  const bucket = getBucket(api);
+
+  // Chain waiters so concurrent callers are served in order
+  const turn = bucket.queue.then(async () => {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.perSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      await sleep(((1 - bucket.tokens) / bucket.perSecond) * 1000);
+      bucket.tokens = 1;
+      bucket.updatedAt = Date.now();
+    }
+    bucket.tokens -= 1;
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * HTTP status of a googleapis (gaxios) or Anthropic SDK error
+ */
+function getStatus(err) {
+  return err.response?.status ?? err.status ?? null;
+}
+
+function getRetryAfterMs(err) {
+  const headers = err.response?.headers || err.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(err) {
+  const status = getStatus(err);
+  if (status && RETRYABLE_STATUSES.has(status)) return true;
+
+  // Google reports per-user quota as 403 with a rate-limit reason
+  if (status === 403) {
+    const reasons = (err.response?.data?.error?.errors || []).map(e => e.reason);
+    return reasons.some(reason => RATE_LIMIT_REASONS.has(reason));
+  }
+
+  // Network failures (no response at all)
+  if (!status) {
+    return RETRYABLE_CODES.has(err.code) || err.name === 'APIConnectionError' || err.name === 'APIConnectionTimeoutError';
+  }
+
+  return false;
+}
+
+function getStats(api) {
+  if (!report[api]) {
+    report[api] = { calls: 0, retries: 0, failures: 0 };
+  }
+  return report[api];
+}
+
+/**
+ * Run an API call with the API's rate limit and retries on 429/5xx/network errors
+ *
+ * Backoff is exponential with full jitter; a Retry-After header wins when present.
+ * Errors that aren't transient (4xx, bad input) are thrown right away.
+ */
+export async function withRetry(api, label, fn) {
+  const stats = getStats(api);
+
+  for (let attempt = 1; ; attempt++) {
+    await take(api);
+    stats.calls++;
+
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= MAX_ATTEMPTS) {
+        if (isRetryable(err)) stats.failures++;
+        throw err;
+      }
+
+      const backoff = Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+      const delay = Math.min(MAX_DELAY_MS, getRetryAfterMs(err) ?? backoff);
+
+      stats.retries++;
+      warn(`[Retry] ${api} ${label} failed (${getStatus(err) || err.code || err.message}), attempt ${attempt}/${MAX_ATTEMPTS}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Start a fresh retry report (call at the start of a sync cycle or command)
+ */
+export function resetRetryReport() {
+  report = {};
+}
+
+/**
+ * Calls, retries and final failures per API since the last reset
+ */
+export function getRetryReport() {
+  return report;
+}
+
+/**
+ * Log the retry report if anything had to be retried or gave up
+ */
+export function printRetryReport(prefix = '[Retry]') {
+  const troubled = Object.entries(report).filter(([, s]) => s.retries > 0 || s.failures > 0);
+  if (troubled.length === 0) return;
+
+  for (const [api, s] of troubled) {
+    log(`${prefix} ${api}: ${s.calls} call(s), ${s.retries} retried, ${s.failures} failed after retries`);
+  }
+}
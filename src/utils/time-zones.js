@@ -0,0 +1,34 @@
+/**
+ * IANA timezone helpers ("America/Los_Angeles")
+ */
+
+/**
+ * Check whether a timezone name is one Intl knows
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The server's own timezone
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Short name of a timezone at an instant ("PST", "GMT+1")
+ */
+export function getTimeZoneAbbreviation(date, timeZone) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+}
@@ -0,0 +1,68 @@
+/**
+ * Minimal JSON-schema validation for structured Claude output
+ *
+ * Supports: type (string or array of types), enum, pattern, format: 'date'
+ * (a real YYYY-MM-DD calendar date), required, properties, items.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateSchema(value, schema, path = 'input') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')}, got ${JSON.stringify(value)}`);
+    return errors;
+  }
+
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.filter(v => v !== null).map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.format === 'date' && !isCalendarDate(value)) {
+      errors.push(`${path} must be a real date in YYYY-MM-DD format, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (types.includes('object') && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+function isCalendarDate(value) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return false;
+
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}